@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { normalize } = require('./usernames');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+const randomId = () => crypto.randomBytes(8).toString('hex');
+
+const hashPassword = async (password, salt) => {
+  return (await scrypt(password.normalize('NFC'), salt, KEY_LENGTH)).toString('hex');
+};
+
+// returns the reason why `password` cannot be used, as { error, params }, or
+// null if it can
+const validatePassword = (password) => {
+  if (typeof password !== 'string') {
+    return { error: 'invalid password' };
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return { error: 'password too short', params: { min: MIN_PASSWORD_LENGTH } };
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return { error: 'password too long', params: { max: MAX_PASSWORD_LENGTH } };
+  }
+  return null;
+};
+
+/* abstract */ class AccountStore {
+  findAccount(userID) {}
+  findAccountByUsername(username) {}
+  saveAccount(account) {}
+}
+
+// an account is { userID, username, salt, hash, createdAt }; the password
+// itself is never kept, only its scrypt hash with a random salt
+class InMemoryAccountStore extends AccountStore {
+  constructor() {
+    super();
+    this.accounts = new Map();
+  }
+
+  findAccount(userID) {
+    return this.accounts.get(userID);
+  }
+
+  findAccountByUsername(username) {
+    username = normalize(username);
+    return [...this.accounts.values()].find((account) => normalize(account.username) === username);
+  }
+
+  saveAccount(account) {
+    this.accounts.set(account.userID, account);
+    return account;
+  }
+
+  // returns the new account, or undefined if the username was taken while
+  // the password was being hashed
+  async createAccount(username, password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await hashPassword(password, salt);
+    if (this.findAccountByUsername(username)) return undefined;
+    return this.saveAccount({
+      userID: randomId(),
+      username,
+      salt,
+      hash,
+      createdAt: Date.now()
+    });
+  }
+
+  // returns the account if `password` is the one of `username`; a password is
+  // hashed even for an unknown username, so that the time taken does not tell
+  // which usernames exist
+  async verifyPassword(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string') return undefined;
+    const account = this.findAccountByUsername(username);
+    const salt = account ? account.salt : randomId();
+    const hash = Buffer.from(await hashPassword(password, salt), 'hex');
+    if (!account) return undefined;
+    return crypto.timingSafeEqual(hash, Buffer.from(account.hash, 'hex')) ? account : undefined;
+  }
+
+  renameAccount(userID, username) {
+    const account = this.findAccount(userID);
+    return account && this.saveAccount({ ...account, username });
+  }
+}
+
+// keeps the accounts in memory and appends each one as a JSON line to `file`;
+// a renamed account is appended again, and the last line with a given id wins
+class FileAccountStore extends InMemoryAccountStore {
+  constructor(file) {
+    super();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) {
+      fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter((line) => line.trim())
+        .forEach((line) => {
+          try {
+            const account = JSON.parse(line);
+            this.accounts.set(account.userID, account);
+          } catch (e) {
+            // skip a line truncated by a crash
+          }
+        });
+    }
+    this.stream = fs.createWriteStream(file, { flags: 'a' });
+    this.stream.on('error', (err) => {
+      console.error('could not save account', err);
+    });
+  }
+
+  saveAccount(account) {
+    this.stream.write(JSON.stringify(account) + '\n');
+    return super.saveAccount(account);
+  }
+}
+
+module.exports = {
+  validatePassword,
+  InMemoryAccountStore,
+  FileAccountStore
+};
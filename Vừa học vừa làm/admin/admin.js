@@ -0,0 +1,94 @@
+$(function() {
+    const $status = $('.dashboardStatus');
+    const $chart = $('.chart');
+
+    // The statistics come from the /admin namespace, which only lets the
+    // owners in, with the session cookie of the chat
+    const socket = io('/admin');
+
+    const formatSize = (bytes) => {
+      if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+      return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    const formatTime = (time) => {
+      return new Date(time).toLocaleTimeString('vi-VN', { hour: '2-digit', minute: '2-digit' });
+    }
+
+    // Fills a list with label / value rows, the largest values first
+    // rows - [[label, value]]
+    const renderRows = ($list, rows, empty) => {
+      $list.empty();
+      if (!rows.length) {
+        $list.append($('<li class="row empty"/>').text(empty));
+        return;
+      }
+      rows.forEach(([label, value]) => {
+        $list.append($('<li class="row"/>').append(
+          $('<span class="rowLabel"/>').text(label),
+          $('<span class="rowValue"/>').text(value)
+        ));
+      });
+    }
+
+    // One bar per minute, as high as its share of the busiest minute
+    const renderChart = (minutes) => {
+      const max = Math.max(1, ...minutes.map(({ count }) => count));
+      $chart.empty();
+      minutes.forEach(({ time, count }) => {
+        $('<span class="bar"/>')
+          .css('height', `${count / max * 100}%`)
+          .attr('title', `${formatTime(time)}: ${count}`)
+          .appendTo($chart);
+      });
+    }
+
+    const renderStats = (stats) => {
+      $status.text(`Cập nhật lúc ${new Date(stats.time).toLocaleTimeString('vi-VN')}`);
+      $('.totalValue.sockets').text(stats.sockets);
+      $('.totalValue.bots').text(stats.bots);
+      $('.totalValue.lastMinute').text(stats.messages[stats.messages.length - 1].count);
+      $('.totalValue.memory').text(formatSize(stats.memory.rss));
+      renderChart(stats.messages);
+      renderRows(
+        $('.roomRows'),
+        stats.rooms
+          .sort((a, b) => b.sockets - a.sockets)
+          .map(({ room, sockets }) => [`#${room}`, sockets]),
+        'Chưa có kênh nào'
+      );
+      renderRows(
+        $('.talkerRows'),
+        stats.talkers.map(({ username, count }) => [username, count]),
+        'Chưa có tin nhắn nào'
+      );
+      renderRows(
+        $('.transportRows'),
+        Object.keys(stats.transports)
+          .sort((a, b) => stats.transports[b] - stats.transports[a])
+          .map((name) => [name, stats.transports[name]]),
+        'Không có kết nối nào'
+      );
+      renderRows(
+        $('.memoryRows'),
+        Object.keys(stats.memory).map((name) => [name, formatSize(stats.memory[name])]),
+        ''
+      );
+    }
+
+    socket.on('stats', renderStats);
+
+    socket.on('disconnect', () => {
+      $status.text('Mất kết nối, đang kết nối lại…');
+    });
+
+    // Only an owner who is logged in may see the statistics
+    socket.on('connect_error', (err) => {
+      if (err.message === 'not logged in' || err.message === 'not allowed') {
+        $status.text(err.message === 'not allowed'
+          ? 'Chỉ chủ phòng chat mới xem được trang này'
+          : 'Hãy đăng nhập trước');
+        socket.disconnect();
+      }
+    });
+  });
@@ -3,74 +3,1832 @@ const express = require('express');
 const app = express();
 const path = require('path');
 const server = require('http').createServer(app);
-const io = require('socket.io')(server);
+const io = require('socket.io')(server, {
+  // big enough for the attachments, see MAX_FILE_SIZE
+  maxHttpBufferSize: 8 * 1024 * 1024,
+  // a client back within two minutes keeps its rooms and gets the packets it
+  // missed; the session and ban checks still run when it comes back
+  connectionStateRecovery: {
+    maxDisconnectionDuration: 2 * 60 * 1000,
+    skipMiddlewares: false
+  }
+});
 const port = process.env.PORT || 3000;
+const crypto = require('crypto');
+const session = require('express-session');
+const passport = require('passport');
+const LocalStrategy = require('passport-local').Strategy;
+const { FileMessageStore } = require('./messageStore');
+const { InMemorySessionStore } = require('./sessionStore');
+const { validatePassword, FileAccountStore } = require('./accountStore');
+const { normalize, validateUsername, findMentions } = require('./usernames');
+const { ReceiptTracker } = require('./receipts');
+const { isClientId, ClientIdTracker } = require('./clientIds');
+const { DiskFileStore } = require('./fileStore');
+const { createCommandRegistry } = require('./commands');
+const { ROLES, canModerate, Moderation } = require('./moderation');
+const { RateLimiter } = require('./rateLimiter');
+const { STATUSES, rosterOf } = require('./presence');
+const { MAX_MESSAGE_LENGTH, sanitizeText } = require('./sanitize');
+const { SearchIndex, snippetOf } = require('./searchIndex');
+const { FORMATS, parseOptions, createTranscript } = require('./transcript');
+const { pipeline } = require('stream');
+const { BotRegistry } = require('./bots');
+const { Webhook } = require('./webhook');
+const { MessageStats, countTransports } = require('./stats');
+const { isPublicKey, checkEncrypted } = require('./publicKeys');
+const { pickLanguage } = require('./public/i18n');
+
+// how many past messages a user receives when joining, and per 'load history'
+const HISTORY_SIZE = 50;
+const messageStore = new FileMessageStore(
+  process.env.MESSAGE_STORE || path.join(__dirname, 'data', 'messages.jsonl')
+);
+// every message text is indexed, to answer 'search'; the history written
+// before the index existed is indexed when it is first created
+const searchIndex = new SearchIndex(
+  process.env.SEARCH_INDEX || path.join(__dirname, 'data', 'search.jsonl')
+);
+if (!searchIndex.size) {
+  messageStore.findAllMessages().forEach(({ id, message }) => searchIndex.add(id, message));
+}
+// how many results 'search' returns per page
+const SEARCH_PAGE_SIZE = 20;
+
+// bots connect to the /bots namespace with a token of BOT_TOKENS, a JSON
+// object like {"weather": "<secret token>"}
+const botRegistry = new BotRegistry(JSON.parse(process.env.BOT_TOKENS || '{}'));
+const bots = io.of('/bots');
+// the owners follow the statistics of this node on the /admin namespace
+const admins = io.of('/admin');
+// the clients send their outbox on the /outbox namespace, over the connection
+// of their socket of the main namespace
+const outboxes = io.of('/outbox');
 
-server.listen(port, () => {
-  console.log('Server listening at port %d', port);
+// with WEBHOOK_URL, the room messages are POSTed there, signed with
+// WEBHOOK_SECRET; WEBHOOK_ROOMS (comma separated) and WEBHOOK_PATTERN (a
+// regular expression the text must match) choose which ones; the endpoint
+// could not tell our messages from anyone else's without the secret
+if (process.env.WEBHOOK_URL && !process.env.WEBHOOK_SECRET) {
+  console.error('WEBHOOK_URL is set without WEBHOOK_SECRET');
+  process.exit(1);
+}
+const webhook = process.env.WEBHOOK_URL && new Webhook({
+  url: process.env.WEBHOOK_URL,
+  secret: process.env.WEBHOOK_SECRET,
+  rooms: (process.env.WEBHOOK_ROOMS || '').split(',').map((room) => room.trim()).filter(Boolean),
+  pattern: process.env.WEBHOOK_PATTERN ? new RegExp(process.env.WEBHOOK_PATTERN, 'iu') : undefined
 });
+// what the chat knows of each user who connected (username, connected), by user id
+const sessionStore = new InMemorySessionStore();
+const accountStore = new FileAccountStore(
+  process.env.ACCOUNT_STORE || path.join(__dirname, 'data', 'accounts.jsonl')
+);
+const receipts = new ReceiptTracker();
+// the ids clients gave to the latest messages, including those saved before a
+// restart, to recognise a message sent again
+const clientIds = new ClientIdTracker();
+messageStore.findAllMessages().forEach((message) => clientIds.track(message));
+// how many messages were sent through this node lately, and by whom, for the
+// admin dashboard
+const messageStats = new MessageStats();
+const commands = createCommandRegistry();
+
+// a packet larger than maxHttpBufferSize closes the connection, and with HTTP
+// long-polling binary data travels as base64 (4 bytes for every 3), so files
+// must stay well under it
+const MAX_FILE_SIZE = Math.floor((io.engine.opts.maxHttpBufferSize - 64 * 1024) * 3 / 4);
+const fileStore = new DiskFileStore(
+  process.env.UPLOAD_DIR || path.join(__dirname, 'data', 'uploads'),
+  { maxSize: MAX_FILE_SIZE, urlPrefix: '/files' }
+);
+// who may download each stored file, by file name: anybody once it was sent
+// to a room, else only the two ends of the private messages it came with
+const fileReaders = new Map();
+const trackFile = ({ room, from, to, attachment }) => {
+  if (!attachment) return;
+  const filename = path.basename(attachment.url);
+  if (!fileReaders.has(filename)) {
+    fileReaders.set(filename, { shared: false, userIDs: new Set() });
+  }
+  const readers = fileReaders.get(filename);
+  if (room) {
+    readers.shared = true;
+  } else {
+    readers.userIDs.add(from).add(to);
+  }
+};
+messageStore.findAllMessages().forEach(trackFile);
+
+// how long the server waits for a recipient to acknowledge a message
+const DELIVERY_TIMEOUT = 5000; // ms
+
+// users with a role from the start, e.g. OWNERS=alice MODERATORS=bob,carol;
+// a role belongs to the account that has that name when the server starts,
+// and stays with it whatever its name becomes. A name nobody has registered
+// yet gives no role: whoever registers it first is not trusted with one until
+// the server is restarted by whoever chose the names
+const userIDsFrom = (list, role) => (list || '')
+  .split(',')
+  .map((username) => username.trim())
+  .filter(Boolean)
+  .flatMap((username) => {
+    const account = accountStore.findAccountByUsername(username);
+    if (!account) {
+      console.warn(`no account named ${username} to make ${role} yet`);
+      return [];
+    }
+    return [account.userID];
+  });
+const moderation = new Moderation(
+  process.env.AUDIT_LOG || path.join(__dirname, 'data', 'audit.jsonl'),
+  {
+    owners: userIDsFrom(process.env.OWNERS, 'owner'),
+    moderators: userIDsFrom(process.env.MODERATORS, 'moderator')
+  }
+);
+
+const listen = () => {
+  server.listen(port, () => {
+    console.log('Server listening at port %d', port);
+  });
+};
+
+// with REDIS_URL, several nodes behind a load balancer share the rooms and the
+// broadcasts through Redis, like socket.io/examples/cluster-nginx; a node only
+// listens once the adapter is attached. The accounts, sessions, rooms and
+// moderation are kept in step between the nodes, but not the messages: each
+// node has its own MESSAGE_STORE, with the history, edits and reactions of the
+// messages sent through it, and the delivery receipts and the client ids that
+// recognise a message sent again only live in its memory. A cluster therefore
+// needs sticky sessions, and users on different nodes see different histories.
+if (process.env.REDIS_URL) {
+  const { createAdapter } = require('@socket.io/redis-adapter');
+  const { createClient } = require('redis');
+  const pubClient = createClient({ url: process.env.REDIS_URL });
+  const subClient = pubClient.duplicate();
+  [pubClient, subClient].forEach((client) => {
+    client.on('error', (err) => {
+      console.error('redis error', err.message);
+    });
+  });
+  Promise.all([pubClient.connect(), subClient.connect()]).then(() => {
+    io.adapter(createAdapter(pubClient, subClient));
+    listen();
+  }, (err) => {
+    console.error('could not connect to redis', err.message);
+    process.exit(1);
+  });
+} else {
+  listen();
+}
+
+// fetchSockets() asks every node of the cluster, and rejects when one of them
+// does not answer in time; what depended on the answer is given up and logged,
+// since an unhandled rejection would stop this node
+const logClusterError = (err) => {
+  console.error('the other nodes did not answer', err);
+};
+
+// logs why something done in the background failed, whatever the reason
+const logFailure = (what) => (err) => {
+  console.error(`could not ${what}`, err);
+};
+
+// runs an async event handler, and answers its ack with { error } if it fails
+const handleAsync = (handler) => (...args) => {
+  handler(...args).catch((err) => {
+    console.error('an event handler failed', err);
+    const callback = args[args.length - 1];
+    if (typeof callback === 'function') {
+      callback({ error: 'try again later' });
+    }
+  });
+};
+
+// tells the other nodes of the cluster about a change of what they all keep
+// in memory (without a cluster adapter there are no other nodes)
+const tellOtherNodes = (event, ...args) => {
+  if (process.env.REDIS_URL) {
+    io.serverSideEmit(event, ...args);
+  }
+};
+
+// saves a session here and on the other nodes, so that the user is known
+// wherever the load balancer sends its next connection
+const saveSession = (userID, session) => {
+  sessionStore.saveSession(userID, session);
+  tellOtherNodes('session saved', userID, session);
+};
+
+const recordModeration = (entry) => {
+  tellOtherNodes('moderation recorded', moderation.record(entry));
+};
+
+// saves a message and indexes its text for 'search'; the bots subscribed to
+// its room and the webhook get the room messages too
+const saveMessage = (fields) => {
+  const message = messageStore.saveMessage(fields);
+  searchIndex.add(message.id, message.message);
+  clientIds.track(message);
+  trackFile(message);
+  messageStats.record(message);
+  if (message.room) {
+    bots.to(message.room).except(message.from).emit('new message', message);
+    if (webhook) webhook.send(message);
+  }
+  return message;
+};
 
 // Routing
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Accounts
+
+// the session cookie is signed with SESSION_SECRET; without it, every restart
+// logs everybody out (as the sessions are only kept in memory, it does anyway)
+const sessionMiddleware = session({
+  secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+  resave: false,
+  saveUninitialized: false,
+  cookie: { httpOnly: true, sameSite: 'lax', maxAge: 30 * 24 * 60 * 60 * 1000 }
+});
+
+// what the routes and the sockets know of the logged in user, as req.user
+const userOf = ({ userID, username }) => ({ userID, username });
+
+passport.use(new LocalStrategy(async (username, password, done) => {
+  try {
+    const account = await accountStore.verifyPassword(username, password);
+    done(null, account ? userOf(account) : false);
+  } catch (err) {
+    done(err);
+  }
+}));
+
+// the session only keeps the user id; the username is read from the account,
+// as it may have been changed since
+passport.serializeUser((user, cb) => {
+  cb(null, user.userID);
+});
+passport.deserializeUser((userID, cb) => {
+  const account = accountStore.findAccount(userID);
+  cb(null, account ? userOf(account) : false);
+});
+
+app.use(sessionMiddleware);
+app.use(express.json());
+app.use(passport.session());
+
+// the attachments, once the session tells who asks for them: those of the
+// private messages are only for the two ends of the conversation, and kept
+// out of the shared caches
+app.use('/files', (req, res, next) => {
+  const readers = fileReaders.get(path.basename(req.path));
+  if (!readers || !(readers.shared || (req.user && readers.userIDs.has(req.user.userID)))) {
+    return res.status(404).json({ error: 'unknown file' });
+  }
+  next();
+}, express.static(fileStore.dir, {
+  immutable: true,
+  maxAge: '1y',
+  setHeaders: (res, file) => {
+    // never let the browser guess a type other than the checked one
+    res.set('X-Content-Type-Options', 'nosniff');
+    if (!fileReaders.get(path.basename(file)).shared) {
+      res.set('Cache-Control', 'private, max-age=31536000, immutable');
+    }
+  }
+}));
+
+// a few attempts to log in or register per address, against password guessing
+const loginLimiter = new RateLimiter({
+  limits: { login: { capacity: 10, refillPerSecond: 0.1 } }
+});
+const limitLogins = (req, res, next) => {
+  const retryAfter = loginLimiter.check(req.ip, 'login');
+  if (retryAfter) {
+    return res.status(429).json({ error: 'rate limited', retryAfter });
+  }
+  next();
+};
+
+// starts the session of `user` (with a new session id) and answers with it
+const logIn = (req, res, next, user, status = 200) => {
+  req.login(user, (err) => {
+    if (err) return next(err);
+    res.status(status).json(user);
+  });
+};
+
+app.post('/register', limitLogins, async (req, res, next) => {
+  const { username, password } = req.body || {};
+  const problem = validateUsername(username, (name) => !!accountStore.findAccountByUsername(name)) ||
+    validatePassword(password);
+  if (problem) {
+    return res.status(400).json(problem);
+  }
+  try {
+    const account = await accountStore.createAccount(username.trim(), password);
+    if (!account) {
+      return res.status(400).json({ error: 'this username is already taken' });
+    }
+    tellOtherNodes('account saved', account);
+    logIn(req, res, next, userOf(account), 201);
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/login', limitLogins, (req, res, next) => {
+  passport.authenticate('local', (err, user) => {
+    if (err) return next(err);
+    if (!user) {
+      return res.status(401).json({ error: 'wrong username or password' });
+    }
+    logIn(req, res, next, user);
+  })(req, res, next);
+});
+
+app.post('/logout', (req, res) => {
+  const sessionId = req.session.id;
+  req.session.destroy(() => {
+    // disconnect all Socket.IO connections linked to this session ID
+    io.to(`session:${sessionId}`).disconnectSockets();
+    admins.to(`session:${sessionId}`).disconnectSockets();
+    res.status(204).end();
+  });
+});
+
+app.get('/me', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'not logged in' });
+  }
+  res.json(req.user);
+});
+
 // Chatroom
 
-let numUsers = 0;
+// every user lands in this room when logging in, and it is never removed
+const DEFAULT_ROOM = 'general';
+const ROOM_NAME = /^[\p{L}\p{N}_-]{1,24}$/u;
+
+// the topic of the chat rooms that currently exist, by name; who is in them is
+// asked to the adapter, so that every node of a cluster gives the same answer
+const rooms = new Map([[DEFAULT_ROOM, { name: DEFAULT_ROOM, topic: '', createdAt: Date.now() }]]);
+
+// where the transcript of a room is downloaded from (see parseOptions())
+const transcriptUrl = (room, { format = 'html', since, until } = {}) => {
+  const query = new URLSearchParams({ format });
+  if (since) query.set('since', since);
+  if (until) query.set('until', until);
+  return `/rooms/${encodeURIComponent(room)}/export?${query}`;
+};
+
+// streams the history of a room, replies included, for the logged in users;
+// ?format=html|txt|jsonl, ?since and ?until bound the time window, ?tz is
+// the time zone the times are written in and ?lang the language of the page
+// (or else the browser's)
+app.get('/rooms/:room/export', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'not logged in' });
+  }
+  if (moderation.isBanned({ userID: req.user.userID, ip: req.ip, role: roleOf(req.user.userID) })) {
+    return res.status(403).json({ error: 'banned' });
+  }
+  const { room } = req.params;
+  if (!ROOM_NAME.test(room)) {
+    return res.status(400).json({ error: 'invalid room name' });
+  }
+  const { format, since, until, error, params } = parseOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error, params });
+  }
+  // the type guessed from the file name would not name the charset
+  res.attachment(`${room}-${new Date(until).toISOString().slice(0, 10)}.${FORMATS[format].extension}`);
+  res.type(FORMATS[format].contentType);
+  const transcript = createTranscript(messageStore.iterateMessages({ room, since, until }), {
+    format,
+    room,
+    topic: (rooms.get(room) || {}).topic,
+    since,
+    until,
+    timeZone: typeof req.query.tz === 'string' ? req.query.tz : undefined,
+    language: pickLanguage(req.query.lang, req.acceptsLanguages()),
+    baseUrl: `${req.protocol}://${req.get('host')}`
+  });
+  pipeline(transcript, res, (err) => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('could not export', room, err);
+    }
+  });
+});
+
+// the chat rooms of a socket, without its own room and the room of its user
+const chatRoomsOf = (socket) => {
+  return [...socket.rooms].filter(
+    (room) => room !== socket.id && room !== socket.data.userID && !room.startsWith('session:')
+  );
+};
+
+// how many users (not tabs) are in a room, on every node
+const countUsers = async (room) => {
+  const sockets = await io.in(room).fetchSockets();
+  return new Set(sockets.map(({ data }) => data.userID)).size;
+};
+
+const listRooms = async () => {
+  const usersPerRoom = new Map([[DEFAULT_ROOM, new Set()]]);
+  (await io.fetchSockets()).forEach((socket) => {
+    chatRoomsOf(socket).forEach((room) => {
+      if (!usersPerRoom.has(room)) {
+        usersPerRoom.set(room, new Set());
+      }
+      usersPerRoom.get(room).add(socket.data.userID);
+    });
+  });
+  return [...usersPerRoom].map(([name, userIDs]) => ({
+    name,
+    numUsers: userIDs.size
+  }));
+};
+
+// forgets a room once its last user is gone, and tells everybody the new counts
+const updateRooms = async (room) => {
+  try {
+    if (room !== DEFAULT_ROOM && rooms.has(room) && (await countUsers(room)) === 0) {
+      rooms.delete(room);
+      tellOtherNodes('room removed', room);
+    }
+    io.emit('rooms', await listRooms());
+  } catch (err) {
+    logClusterError(err);
+  }
+};
+
+const saveRoom = (room) => {
+  rooms.set(room.name, room);
+  tellOtherNodes('room saved', room);
+};
+
+// renames the tabs of a user that are connected to this node
+const renameSockets = (userID, username) => {
+  io.of('/').sockets.forEach((socket) => {
+    if (socket.userID === userID) {
+      socket.username = username;
+      socket.data.username = username;
+    }
+  });
+};
+
+// what the other nodes of the cluster tell us
+io.on('session saved', (userID, session) => {
+  sessionStore.saveSession(userID, session);
+});
+io.on('account saved', (account) => {
+  accountStore.saveAccount(account);
+});
+io.on('moderation recorded', (entry) => {
+  moderation.apply(entry);
+});
+io.on('room saved', (room) => {
+  rooms.set(room.name, room);
+});
+io.on('room removed', (name) => {
+  if (name !== DEFAULT_ROOM) rooms.delete(name);
+});
+io.on('room limit', (room, event, limit) => {
+  rateLimiter.setRoomLimit(room, event, limit);
+});
+io.on('username changed', (userID, username) => {
+  renameSockets(userID, username);
+});
+
+// how often each user may send each event: a burst of `capacity`, then
+// `refillPerSecond`; ROOM_RATE_LIMITS (JSON, by room and event) overrides them
+// in some rooms, and moderators can slow a room down with /slowmode
+const RATE_LIMITS = {
+  'new message': { capacity: 5, refillPerSecond: 1 },
+  'private message': { capacity: 5, refillPerSecond: 1 },
+  'send file': { capacity: 3, refillPerSecond: 0.1 },
+  'edit message': { capacity: 5, refillPerSecond: 0.5 },
+  'publish key': { capacity: 3, refillPerSecond: 0.1 },
+  react: { capacity: 10, refillPerSecond: 2 },
+  unreact: { capacity: 10, refillPerSecond: 2 },
+  typing: { capacity: 5, refillPerSecond: 1 },
+  'stop typing': { capacity: 5, refillPerSecond: 1 },
+  search: { capacity: 5, refillPerSecond: 1 }
+};
+const rateLimiter = new RateLimiter({
+  limits: RATE_LIMITS,
+  roomLimits: JSON.parse(process.env.ROOM_RATE_LIMITS || '{}'),
+  // whoever is refused this many times in a minute gets disconnected
+  maxViolations: 10,
+  violationWindow: 60 * 1000
+});
+
+// the address of the client; set TRUST_PROXY when running behind a proxy that
+// sends X-Forwarded-For, like nginx
+const clientIp = (socket) => {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (process.env.TRUST_PROXY && forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return socket.handshake.address;
+};
+
+// the session cookie of the handshake tells who is connecting, like in
+// socket.io/examples/passport-example; the later HTTP requests of the same
+// connection (with a `sid`) do not need it again
+const onlyForHandshake = (middleware) => {
+  return (req, res, next) => {
+    const isHandshake = req._query.sid === undefined;
+    if (isHandshake) {
+      middleware(req, res, next);
+    } else {
+      next();
+    }
+  };
+};
+io.engine.use(onlyForHandshake(sessionMiddleware));
+io.engine.use(onlyForHandshake(passport.session()));
+
+// only users logged in with an account may connect, as socket.request.user
+io.use((socket, next) => {
+  const user = socket.request.user;
+  if (!user) {
+    return next(new Error('not logged in'));
+  }
+  socket.userID = user.userID;
+  // the user id is also needed on the sockets returned by fetchSockets()
+  socket.data.userID = socket.userID;
+  next();
+});
+
+// banned users and addresses cannot connect at all
+io.use((socket, next) => {
+  if (moderation.isBanned({ userID: socket.userID, ip: clientIp(socket), role: roleOf(socket.userID) })) {
+    return next(new Error('banned'));
+  }
+  next();
+});
+
+// the public key a user encrypts its private messages with, kept with its
+// account as base64, and given to the clients as binary; null until the user
+// has published one
+const publicKeyOf = (account) => {
+  return account && account.publicKey ? Buffer.from(account.publicKey, 'base64') : null;
+};
+
+// the known users, with their public key and the private messages `userID`
+// exchanged with each of them
+const listUsers = (userID) => {
+  const messagesPerUser = new Map();
+  messageStore.findMessagesForUser(userID).forEach((message) => {
+    const otherUser = message.from === userID ? message.to : message.from;
+    if (!messagesPerUser.has(otherUser)) {
+      messagesPerUser.set(otherUser, []);
+    }
+    messagesPerUser.get(otherUser).push(message);
+  });
+  return [...accountStore.accounts.values()]
+    .filter((account) => account.userID !== userID)
+    .map((account) => ({
+      userID: account.userID,
+      username: account.username,
+      role: roleOf(account.userID),
+      publicKey: publicKeyOf(account),
+      connected: !!(sessionStore.findSession(account.userID) || {}).connected,
+      messages: (messagesPerUser.get(account.userID) || []).slice(-HISTORY_SIZE)
+    }));
+};
+
+// tells if an account other than the one of `userID` has `username`
+const isUsernameTaken = (username, userID) => {
+  const account = accountStore.findAccountByUsername(username);
+  return !!account && account.userID !== userID;
+};
+
+// emits a room message to everybody in the room but the sending socket, and
+// tells the author each time another user acknowledges it
+const deliverMessage = async (sender, message) => {
+  receipts.track(message.id);
+  let sockets;
+  try {
+    sockets = await sender.to(message.room).fetchSockets();
+  } catch (err) {
+    // still delivered, without the receipts
+    logClusterError(err);
+    sender.to(message.room).emit('new message', message);
+    return;
+  }
+  sockets.forEach((recipient) => {
+    // the other tabs of the author do not count as recipients
+    if (recipient.data.userID === message.from) {
+      return recipient.emit('new message', message);
+    }
+    recipient.timeout(DELIVERY_TIMEOUT).emit('new message', message, (err) => {
+      if (err) return;
+      const summary = receipts.markDelivered(message.id, recipient.data.userID);
+      if (summary) {
+        io.to(message.from).emit('receipt', summary);
+      }
+    });
+  });
+};
+
+// tells a room the new reply count of the thread started by `parent`
+const updateThread = (parent) => {
+  io.to(parent.room).emit('thread updated', {
+    id: parent.id,
+    room: parent.room,
+    replyCount: parent.replyCount,
+    lastReplyAt: parent.lastReplyAt
+  });
+};
+
+// sends a reply to the users taking part in its thread (whoever started it or
+// replied to it, in all their tabs but the sending one), and tells the whole
+// room the new reply count of the thread
+const deliverReply = (sender, message) => {
+  const parent = messageStore.findMessage(message.parentId);
+  const participants = new Set(
+    [parent, ...messageStore.findReplies(parent.id)].map(({ from }) => from)
+  );
+  sender.to([...participants]).emit('new message', message);
+  updateThread(parent);
+};
+
+// tells the online users mentioned as '@username' in a room message, even
+// those who are not in the room; names are those of the live roster
+const notifyMentions = async (message) => {
+  if (!message.message || !message.message.includes('@')) return;
+  let roster;
+  try {
+    roster = rosterOf(await io.fetchSockets());
+  } catch (err) {
+    logClusterError(err);
+    return;
+  }
+  const mentioned = findMentions(message.message, roster.map(({ username }) => username));
+  roster
+    .filter(({ userID, username }) => mentioned.includes(username) && userID !== message.from)
+    .forEach(({ userID }) => {
+      io.to(userID).emit('mentioned', {
+        id: message.id,
+        room: message.room,
+        parentId: message.parentId,
+        from: message.from,
+        username: message.username,
+        message: message.message,
+        timestamp: message.timestamp
+      });
+    });
+};
+
+// emits a private message to the recipient's tabs and the sender's other tabs,
+// and acknowledges whether it got there
+const deliverPrivateMessage = (sender, message, callback) => {
+  sender.to(message.from).emit('private message', message);
+  receipts.track(message.id);
+  io.to(message.to)
+    .except(message.from)
+    .timeout(DELIVERY_TIMEOUT)
+    .emit('private message', message, (err, responses) => {
+      // the recipient may be offline, it will then find it in its history
+      const delivered = !err && responses.length > 0;
+      if (delivered) {
+        receipts.markDelivered(message.id, message.to);
+      }
+      callback({
+        message,
+        delivered
+      });
+    });
+};
+
+// the account of the user a private message is sent to
+const findRecipient = (to, from) => {
+  if (to === from) return undefined;
+  return accountStore.findAccount(to);
+};
+
+const roleOf = (userID) => moderation.roleOf(userID);
+
+const isModerator = (socket) => {
+  return ROLES.indexOf(roleOf(socket.userID)) >= ROLES.indexOf('moderator');
+};
+
+// runs a moderation action of `actor` against the user `userID`, and tells
+// everybody about it; resolves with { action } or { error }
+// action - 'mute' (for `duration` minutes), 'unmute', 'kick', 'ban' (of the
+//   addresses of the user too with `ip`), 'unban' or 'role' (to `role`)
+const moderate = async (actor, { action, userID, duration, reason, role, ip }) => {
+  let target = sessionStore.findAllSessions().find((session) => session.userID === userID);
+  if (!target && action === 'unban' && moderation.bannedUsers.has(userID)) {
+    target = moderation.bannedUsers.get(userID).target;
+  }
+  if (!target) {
+    return { error: 'unknown user' };
+  }
+  const actorRole = roleOf(actor.userID);
+  const targetRole = roleOf(userID);
+  if (action === 'role') {
+    if (actorRole !== 'owner' || targetRole === 'owner' || !ROLES.includes(role) || role === 'owner') {
+      return { error: 'not allowed' };
+    }
+  } else if (!canModerate(actorRole, targetRole)) {
+    return { error: 'not allowed' };
+  }
+
+  const entry = {
+    action,
+    actor: { userID: actor.userID, username: actor.username },
+    target: { userID, username: target.username },
+    reason: typeof reason === 'string' ? reason.slice(0, 200) : undefined
+  };
+  switch (action) {
+    case 'mute': {
+      const minutes = Math.min(Math.max(Number(duration) || 10, 1), 7 * 24 * 60);
+      entry.until = Date.now() + minutes * 60 * 1000;
+      break;
+    }
+    case 'unmute':
+    case 'kick':
+      break;
+    case 'ban': {
+      // the addresses the user is connected from are only banned when asked,
+      // as others may share them (behind a proxy without TRUST_PROXY, every
+      // user has the same one), and never those of the moderator
+      if (ip === true) {
+        const [sockets, actorSockets] = await Promise.all([
+          io.in(userID).fetchSockets(),
+          io.in(actor.userID).fetchSockets()
+        ]);
+        const actorIps = new Set(actorSockets.map(clientIp));
+        entry.ips = [...new Set(sockets.map(clientIp))].filter((address) => !actorIps.has(address));
+      }
+      break;
+    }
+    case 'unban':
+      entry.ips = moderation.ipsOf(userID);
+      break;
+    case 'role':
+      entry.role = role;
+      break;
+    default:
+      return { error: 'unknown action' };
+  }
+  recordModeration(entry);
+
+  io.emit('moderation', {
+    action,
+    userID,
+    username: target.username,
+    by: actor.username,
+    until: entry.until,
+    role: entry.role,
+    reason: entry.reason
+  });
+  if (action === 'kick' || action === 'ban') {
+    io.in(userID).disconnectSockets(true);
+  }
+  return { action };
+};
+
+// tells everybody how a user must now be shown in the roster, from its tabs
+// on every node, or that it has gone offline
+const updatePresence = async (userID) => {
+  let user;
+  try {
+    [user] = rosterOf(await io.in(userID).fetchSockets());
+  } catch (err) {
+    logClusterError(err);
+    return;
+  }
+  io.emit('presence:update', user ? { type: 'update', user } : { type: 'remove', userID });
+};
+
+// the events carrying a text written by the user
+const TEXT_EVENTS = ['new message', 'edit message', 'private message', 'send file'];
+// why the middlewares refuse a packet, which is not worth logging
+const REFUSALS = ['duplicate', 'muted', 'rate limited', 'message too long'];
+// what the socket of the main namespace does with a packet its connection
+// sent on /outbox, by connection
+const outboxReceivers = new WeakMap();
+
+// a reaction is one emoji, skin tone and joiners included
+const REACTION = /^\p{Extended_Pictographic}[\p{Extended_Pictographic}\p{Emoji_Modifier}\u200d\ufe0f]{0,15}$/u;
+// how many different reactions a message may get
+const MAX_REACTIONS = 20;
+
+// the sockets that may see `message`: its room, or both ends of a private message
+const audienceOf = (message) => {
+  return message.room ? io.to(message.room) : io.to(message.from).to(message.to);
+};
 
 io.on('connection', (socket) => {
   let addedUser = false;
 
-  // when the client emits 'new message', this listens and executes
-  socket.on('new message', (data) => {
-    // we tell the client to execute 'new message'
-    socket.broadcast.emit('new message', {
+  // emit session details, and join the "userID" room, and the room of the
+  // browser session that /logout disconnects
+  socket.emit('session', {
+    userID: socket.userID
+  });
+  socket.join(socket.userID);
+  socket.join(`session:${socket.request.session.id}`);
+  // the chat rooms this socket has joined
+  const joinedRooms = new Set();
+  // the middlewares below, which the packets of the outbox go through too
+  const checks = [];
+  const check = (fn) => {
+    checks.push(fn);
+    socket.use(fn);
+  };
+
+  // a message the client sends again, because it did not get our answer in
+  // time, gets the same answer as the first time and is not saved twice
+  check(([event, data, callback], next) => {
+    if (event !== 'new message' && event !== 'private message') return next();
+    const id = data && isClientId(data.clientId) && clientIds.findMessageId(socket.userID, data.clientId);
+    const message = id && messageStore.findMessage(id);
+    if (!message) return next();
+    if (typeof callback === 'function') {
+      callback(event === 'new message'
+        ? { id: message.id, timestamp: message.timestamp }
+        : { message, delivered: receipts.summary(message.id).delivered > 0 });
+    }
+    next(new Error('duplicate'));
+  });
+
+  // muted users cannot send messages; the sender is told why and until when
+  check(([event, ...args], next) => {
+    if (event !== 'new message' && event !== 'send file') return next();
+    const until = moderation.mutedUntil(socket.userID);
+    if (!until) return next();
+    const callback = args[args.length - 1];
+    if (typeof callback === 'function') {
+      callback({ error: 'you are muted', until });
+    }
+    next(new Error('muted'));
+  });
+
+  // floods are refused with an 'error' event telling when to try again, and
+  // users who keep flooding are disconnected. The packets a flood had already
+  // sent still come through once its socket is closed: they are dropped, or
+  // they would get it reported again
+  check(([event, ...args], next) => {
+    if (!socket.connected) return;
+    const data = args[0];
+    // private messages and files have a recipient instead of a room
+    const room = data && data.to ? null : (data && data.room) || DEFAULT_ROOM;
+    const retryAfter = rateLimiter.check(socket.userID, event, room);
+    if (!retryAfter) return next();
+
+    socket.emit('error', { event, message: 'rate limited', retryAfter });
+    const callback = args[args.length - 1];
+    if (typeof callback === 'function') {
+      callback({ error: 'rate limited', retryAfter });
+    }
+    if (rateLimiter.recordViolation(socket.userID)) {
+      recordModeration({
+        action: 'kick',
+        actor: { username: 'system' },
+        target: { userID: socket.userID, username: socket.username },
+        reason: 'flooding'
+      });
+      io.emit('moderation', {
+        action: 'kick',
+        userID: socket.userID,
+        username: socket.username,
+        by: 'system',
+        reason: 'flooding'
+      });
+      io.in(socket.userID).disconnectSockets(true);
+    }
+    next(new Error('rate limited'));
+  });
+
+  // the texts users send lose their control characters, and the longest ones
+  // are refused
+  check((packet, next) => {
+    const [event, data, ...rest] = packet;
+    if (!TEXT_EVENTS.includes(event)) return next();
+    // older clients send the bare text of a message
+    if (typeof data === 'string') {
+      packet[1] = sanitizeText(data);
+    } else if (data && typeof data.message === 'string') {
+      data.message = sanitizeText(data.message);
+    }
+    const text = typeof packet[1] === 'string' ? packet[1] : data && data.message;
+    if (typeof text !== 'string' || text.length <= MAX_MESSAGE_LENGTH) return next();
+    const callback = rest[rest.length - 1];
+    if (typeof callback === 'function') {
+      callback({ error: 'message too long', params: { max: MAX_MESSAGE_LENGTH } });
+    }
+    next(new Error('message too long'));
+  });
+
+  // a packet rejected by a middleware above ends up here
+  const onRefusal = (err) => {
+    if (!REFUSALS.includes(err.message)) {
+      console.error('socket error', err);
+    }
+  };
+  socket.on('error', onRefusal);
+
+  // a packet of the outbox is handled as if this socket had got it
+  const receiveFromOutbox = (packet, i = 0) => {
+    if (i < checks.length) {
+      return checks[i](packet, (err) => err ? onRefusal(err) : receiveFromOutbox(packet, i + 1));
+    }
+    const [event, ...args] = packet;
+    socket.listeners(event).forEach((listener) => listener(...args));
+  };
+  outboxReceivers.set(socket.conn, receiveFromOutbox);
+
+  // what the client needs to display `room`
+  const roomState = async (room) => {
+    const { messages, hasMore } = messageStore.findMessages({ room, limit: HISTORY_SIZE });
+    return {
+      room,
+      topic: rooms.get(room).topic,
+      numUsers: await countUsers(room),
+      history: messages,
+      hasMoreHistory: hasMore
+    };
+  };
+
+  const joinRoom = async (room) => {
+    // the room may exist on another node, which then knows its topic
+    if (!rooms.has(room)) {
+      rooms.set(room, { name: room, topic: '', createdAt: Date.now() });
+    }
+    joinedRooms.add(room);
+    await socket.join(room);
+    // echo to the room that a person has joined
+    socket.to(room).emit('user joined', {
+      room,
+      username: socket.username,
+      numUsers: await countUsers(room)
+    });
+    updateRooms(room);
+  };
+
+  const leaveRoom = async (room) => {
+    joinedRooms.delete(room);
+    await socket.leave(room);
+    socket.to(room).emit('user left', {
+      room,
+      username: socket.username,
+      numUsers: await countUsers(room)
+    });
+    updateRooms(room);
+  };
+
+  // the room an event is meant for, as long as the socket is in it
+  const roomOf = (data) => {
+    const room = (data && data.room) || DEFAULT_ROOM;
+    return joinedRooms.has(room) ? room : null;
+  };
+
+  // adds this tab to the roster, and sends the whole roster to it
+  const enterPresence = async () => {
+    socket.data.username = socket.username;
+    socket.data.status = 'online';
+    updatePresence(socket.userID);
+    socket.emit('presence:sync', rosterOf(await io.fetchSockets()));
+  };
+
+  // adds the socket to a room it asked for, and returns what it needs to
+  // display it, or { error }
+  const enterRoom = async (room) => {
+    room = typeof room === 'string' ? room.trim() : '';
+    if (!ROOM_NAME.test(room)) {
+      return { error: 'invalid room name' };
+    }
+    if (!joinedRooms.has(room)) {
+      await joinRoom(room);
+    }
+    return roomState(room);
+  };
+
+  // renames the user in all its tabs and tells its rooms the old and the new
+  // name; returns { username } or { error, params }
+  const changeUsername = (username) => {
+    const problem = validateUsername(username, (name) => isUsernameTaken(name, socket.userID));
+    if (problem) {
+      return problem;
+    }
+    username = username.trim();
+    const oldUsername = socket.username;
+    if (username === oldUsername) {
+      return { username };
+    }
+
+    tellOtherNodes('account saved', accountStore.renameAccount(socket.userID, username));
+    renameSockets(socket.userID, username);
+    tellOtherNodes('username changed', socket.userID, username);
+    saveSession(socket.userID, {
+      userID: socket.userID,
+      username,
+      connected: true
+    });
+    updatePresence(socket.userID);
+    // the tabs of the user, wherever they are connected, tell which rooms to tell
+    io.in(socket.userID).fetchSockets().then((sockets) => {
+      new Set(sockets.flatMap(chatRoomsOf)).forEach((room) => {
+        io.to(room).emit('username changed', {
+          room,
+          userID: socket.userID,
+          oldUsername,
+          username
+        });
+      });
+    }).catch(logClusterError);
+    return { username };
+  };
+
+  // saves a message of this user in a room and sends it to the others
+  const postMessage = (room, text, extra = {}) => {
+    // we keep the message so newcomers can see it later
+    const message = saveMessage({
+      room,
+      from: socket.userID,
       username: socket.username,
-      message: data
+      message: text,
+      ...extra
+    });
+    if (message.parentId) {
+      deliverReply(socket, message);
+    } else {
+      deliverMessage(socket, message);
+    }
+    notifyMentions(message);
+    return message;
+  };
+
+  // what command handlers may use; their replies only go to this socket
+  const commandContext = (room) => ({
+    socket,
+    room,
+    user: { userID: socket.userID, username: socket.username },
+    // the client shows the text of `key` in its own language
+    reply: (key, params = {}) => {
+      socket.emit('command reply', { room, key, params });
+    },
+    sendMessage: (text, extra) => postMessage(room, text, extra),
+    changeUsername,
+    joinRoom: async (name) => {
+      const state = await enterRoom(name);
+      if (!state.error) {
+        socket.emit('room joined', state);
+      }
+      return state;
+    },
+    // moderation commands name their target by username
+    moderate: (action, username, options) => {
+      const target = sessionStore
+        .findAllSessions()
+        .filter((session) => session.username && normalize(session.username) === normalize(username))
+        .sort((a, b) => b.connected - a.connected)[0] ||
+        (action === 'unban' ? moderation.findBannedUser(username) : undefined);
+      if (!target) {
+        return { error: 'unknown user' };
+      }
+      return moderate(socket, { ...options, action, userID: target.userID });
+    },
+    isModerator: () => isModerator(socket),
+    // options - { format, since, until }; returns { url } or { error, params }
+    transcriptUrl: (name, options) => {
+      const { error, params } = parseOptions(options);
+      return error ? { error, params } : { url: transcriptUrl(name, options) };
+    },
+    // seconds - how long users must wait between two messages, 0 for no limit
+    setSlowMode: (name, seconds) => {
+      const limit = seconds ? { capacity: 1, refillPerSecond: 1 / seconds } : null;
+      rateLimiter.setRoomLimit(name, 'new message', limit);
+      tellOtherNodes('room limit', name, 'new message', limit);
+      io.to(name).emit('room slowmode', {
+        room: name,
+        seconds,
+        username: socket.username
+      });
+    },
+    topicOf: (name) => rooms.get(name).topic,
+    setTopic: (name, topic) => {
+      saveRoom({ ...rooms.get(name), topic });
+      io.to(name).emit('room topic', {
+        room: name,
+        topic,
+        username: socket.username
+      });
+    }
+  });
+
+  // a client that reconnected in time got its rooms back, but the server said
+  // it had left them: log it in again without asking for its username
+  if (socket.recovered) {
+    const session = sessionStore.findSession(socket.userID);
+    const previousRooms = chatRoomsOf(socket);
+    if (session && session.username) {
+      socket.username = session.username;
+      addedUser = true;
+      saveSession(socket.userID, { ...session, connected: true });
+      previousRooms.forEach((room) => joinRoom(room).catch(logFailure(`rejoin ${room}`)));
+      enterPresence().catch(logFailure('update the presence'));
+      socket.broadcast.emit('user connected', {
+        userID: socket.userID,
+        username: socket.username,
+        role: roleOf(socket.userID),
+        publicKey: publicKeyOf(accountStore.findAccount(socket.userID)),
+        connected: true,
+        messages: []
+      });
+    } else {
+      // without its session the client starts over, out of the rooms of
+      // whoever it was before
+      previousRooms.forEach((room) => socket.leave(room));
+    }
+  }
+
+  // when the client emits 'new message', this listens and executes
+  socket.on('new message', handleAsync(async (data, callback) => {
+    if (typeof callback !== 'function') callback = () => {};
+    if (!addedUser) {
+      return callback({ error: 'not logged in' });
+    }
+    // older clients send the bare text, which goes to the default room
+    if (typeof data === 'string') {
+      data = { room: DEFAULT_ROOM, message: data };
+    }
+    if (!data || typeof data.message !== 'string' || !data.message) {
+      return callback({ error: 'empty message' });
+    }
+
+    // commands are run instead of being sent; they may be used outside of a
+    // room (from a private conversation), but then not all of them work
+    if (commands.parse(data.message)) {
+      const room = data.room ? roomOf(data) : null;
+      return callback(await commands.run(data.message, commandContext(room)));
+    }
+    const room = roomOf(data);
+    if (!room) {
+      return callback({ error: 'not in this room' });
+    }
+    // '//text' is how a message starting with '/' is written
+    const text = data.message.startsWith('//') ? data.message.slice(1) : data.message;
+
+    // a reply goes in the thread of a message of the same room; replying to
+    // a reply continues the same thread
+    let parentId;
+    if (data.parentId) {
+      const parent = messageStore.findMessage(data.parentId);
+      if (!parent || parent.room !== room) {
+        return callback({ error: 'unknown message' });
+      }
+      parentId = parent.parentId || parent.id;
+    }
+    const clientId = isClientId(data.clientId) ? data.clientId : undefined;
+    const message = postMessage(room, text, { parentId, clientId });
+    // we tell the sender the id the server gave to its message
+    callback({ id: message.id, timestamp: message.timestamp });
+  }));
+
+  // when the client emits 'read', the messages it shows in a focused window
+  // count as seen, and their authors are told how many users saw them
+  socket.on('read', (data) => {
+    const { ids } = data || {};
+    if (!addedUser || !Array.isArray(ids)) return;
+    ids.forEach((id) => {
+      const message = messageStore.findMessage(id);
+      if (!message || message.from === socket.userID) return;
+      const canSee = message.room ? joinedRooms.has(message.room) : message.to === socket.userID;
+      if (!canSee) return;
+      const summary = receipts.markRead(id, socket.userID);
+      if (summary) {
+        io.to(message.from).emit('receipt', summary);
+      }
+    });
+  });
+
+  // the message with `id`, if this socket may change it
+  const findOwnMessage = (id) => {
+    const message = messageStore.findMessage(id);
+    if (!message) {
+      return { error: 'unknown message' };
+    }
+    if (message.from !== socket.userID && !isModerator(socket)) {
+      return { error: 'not allowed' };
+    }
+    return { message };
+  };
+
+  // when the client emits 'edit message', we replace the text everywhere it is shown
+  socket.on('edit message', (data, callback) => {
+    if (typeof callback !== 'function') callback = () => {};
+    const { id, message: text } = data || {};
+    if (typeof text !== 'string' || !text) {
+      return callback({ error: 'empty message' });
+    }
+    const { message, error } = findOwnMessage(id);
+    if (error) {
+      return callback({ error });
+    }
+    // the server cannot read an encrypted message, nor write a new one
+    if (message.encrypted) {
+      return callback({ error: 'encrypted messages cannot be edited' });
+    }
+    const edited = messageStore.editMessage(id, text);
+    searchIndex.add(id, edited.message);
+    callback({ id, editedAt: edited.editedAt });
+    audienceOf(edited).emit('message edited', {
+      id,
+      room: edited.room,
+      message: edited.message,
+      editedAt: edited.editedAt
+    });
+  });
+
+  // when the client emits 'delete message', we remove it everywhere it is shown
+  socket.on('delete message', (data, callback) => {
+    if (typeof callback !== 'function') callback = () => {};
+    const { id } = data || {};
+    const { message, error } = findOwnMessage(id);
+    if (error) {
+      return callback({ error });
+    }
+    messageStore.deleteMessage(id);
+    searchIndex.remove(id);
+    callback({ id });
+    audienceOf(message).emit('message deleted', {
+      id,
+      room: message.room
+    });
+    const parent = message.parentId && messageStore.findMessage(message.parentId);
+    if (parent) {
+      updateThread(parent);
+    }
+  });
+
+  // the message with `id`, if this socket may see it
+  const findVisibleMessage = (id) => {
+    const message = messageStore.findMessage(id);
+    const visible = message && (message.room
+      ? joinedRooms.has(message.room)
+      : message.from === socket.userID || message.to === socket.userID);
+    return visible ? { message } : { error: 'unknown message' };
+  };
+
+  // when the client emits 'react' or 'unreact', we count the reaction of this
+  // user and tell everybody who sees the message the new count
+  const onReaction = (added) => (data, callback) => {
+    if (typeof callback !== 'function') callback = () => {};
+    const { id, emoji } = data || {};
+    if (!addedUser) {
+      return callback({ error: 'not logged in' });
+    }
+    if (typeof emoji !== 'string' || !REACTION.test(emoji)) {
+      return callback({ error: 'invalid reaction' });
+    }
+    const { message, error } = findVisibleMessage(id);
+    if (error) {
+      return callback({ error });
+    }
+    const reactions = message.reactions || {};
+    if (added && !reactions[emoji] && Object.keys(reactions).length >= MAX_REACTIONS) {
+      return callback({ error: 'too many reactions' });
+    }
+    const changed = added
+      ? messageStore.addReaction(id, emoji, socket.userID)
+      : messageStore.removeReaction(id, emoji, socket.userID);
+    const count = ((changed || message).reactions[emoji] || []).length;
+    callback({ id, emoji, count });
+    if (changed) {
+      audienceOf(message).emit('reaction', {
+        id,
+        room: message.room,
+        emoji,
+        count,
+        userID: socket.userID,
+        added
+      });
+    }
+  };
+  socket.on('react', onReaction(true));
+  socket.on('unreact', onReaction(false));
+
+  // when the client opens a thread, we answer with its first message and all
+  // the replies
+  socket.on('load thread', (data, callback) => {
+    if (typeof callback !== 'function') return;
+    const { id } = data || {};
+    const { message, error } = findVisibleMessage(id);
+    if (error || !message.room) {
+      return callback({ error: error || 'unknown message' });
+    }
+    callback({ parent: message, replies: messageStore.findReplies(id) });
+  });
+
+  // when the client asks for older messages, we answer with the page before `before`
+  socket.on('load history', (data, callback) => {
+    if (typeof callback !== 'function') return;
+    const { before } = data || {};
+    const room = roomOf(data);
+    if (!room) {
+      return callback({ messages: [], hasMore: false });
+    }
+    callback(messageStore.findMessages({ room, before, limit: HISTORY_SIZE }));
+  });
+
+  // when the client comes back, it asks for the messages of its rooms and its
+  // private conversations sent after `since` (a server timestamp), oldest first
+  socket.on('missed messages', (data, callback) => {
+    if (typeof callback !== 'function') return;
+    const { since } = data || {};
+    if (!addedUser || typeof since !== 'number') {
+      return callback({ messages: [] });
+    }
+    const isMissed = (message) => message.timestamp > since;
+    const messages = [...joinedRooms]
+      .flatMap((room) => messageStore.findMessages({ room, limit: HISTORY_SIZE }).messages)
+      .concat(messageStore.findMessagesForUser(socket.userID).slice(-HISTORY_SIZE))
+      .filter(isMissed)
+      .sort((a, b) => a.timestamp - b.timestamp);
+    callback({ messages });
+  });
+
+  // when the client emits 'search', we answer with a page of the messages it
+  // may see having every word of `query`, newest first; `room`, `author` (a
+  // username) and the `since`/`until` timestamps narrow the search down
+  socket.on('search', (data, callback) => {
+    if (typeof callback !== 'function') return;
+    const { query, room, author, since, until } = data || {};
+    let { page = 0 } = data || {};
+    if (!addedUser) {
+      return callback({ error: 'not logged in' });
+    }
+    if (typeof query !== 'string' || !query.trim()) {
+      return callback({ error: 'empty query' });
+    }
+    page = Math.max(0, Math.floor(Number(page)) || 0);
+    const matches = searchIndex.search(query)
+      .map((id) => findVisibleMessage(id).message)
+      .filter((message) => message &&
+        (!room || message.room === room) &&
+        (typeof author !== 'string' || !author ||
+          normalize(message.username) === normalize(author)) &&
+        (typeof since !== 'number' || message.timestamp >= since) &&
+        (typeof until !== 'number' || message.timestamp <= until))
+      .sort((a, b) => b.timestamp - a.timestamp);
+    const start = page * SEARCH_PAGE_SIZE;
+    callback({
+      results: matches
+        .slice(start, start + SEARCH_PAGE_SIZE)
+        .map(({ id, room, parentId, from, to, username, timestamp, message }) => ({
+          id,
+          room,
+          parentId,
+          from,
+          to,
+          username,
+          timestamp,
+          ...snippetOf(message, query)
+        })),
+      total: matches.length,
+      page,
+      hasMore: start + SEARCH_PAGE_SIZE < matches.length
     });
   });
 
-  // when the client emits 'add user', this listens and executes
-  socket.on('add user', (username) => {
-    if (addedUser) return;
+  // when the client emits 'add user', this listens and executes; the
+  // username is the one of the account (older clients still send one first)
+  socket.on('add user', handleAsync(async (...args) => {
+    let callback = args[args.length - 1];
+    if (typeof callback !== 'function') callback = () => {};
+    if (addedUser) {
+      return callback({ error: 'already logged in' });
+    }
+    const account = accountStore.findAccount(socket.userID);
+    if (!account) {
+      return callback({ error: 'not logged in' });
+    }
+    const username = account.username;
+    callback({ username });
 
     // we store the username in the socket session for this client
     socket.username = username;
-    ++numUsers;
+    socket.data.connectedAt = Date.now();
     addedUser = true;
+    saveSession(socket.userID, {
+      userID: socket.userID,
+      username,
+      connected: true
+    });
+    await joinRoom(DEFAULT_ROOM);
     socket.emit('login', {
-      numUsers: numUsers
+      ...(await roomState(DEFAULT_ROOM)),
+      rooms: await listRooms(),
+      users: listUsers(socket.userID),
+      maxFileSize: MAX_FILE_SIZE,
+      commands: commands.list(),
+      role: roleOf(socket.userID)
+    });
+    enterPresence().catch(logFailure('update the presence'));
+    // notify existing users
+    socket.broadcast.emit('user connected', {
+      userID: socket.userID,
+      username,
+      role: roleOf(socket.userID),
+      publicKey: publicKeyOf(account),
+      connected: true,
+      messages: []
     });
-    // echo globally (all clients) that a person has connected
-    socket.broadcast.emit('user joined', {
+  }));
+
+  // when the client emits 'change username', we rename the user in all its tabs
+  // and tell its rooms the old and the new name
+  socket.on('change username', (username, callback) => {
+    if (typeof callback !== 'function') callback = () => {};
+    if (!addedUser) {
+      return callback({ error: 'not logged in' });
+    }
+    callback(changeUsername(username));
+  });
+
+  // when the client emits 'moderate', we run a moderation action if its role allows it
+  socket.on('moderate', handleAsync(async (data, callback) => {
+    if (typeof callback !== 'function') callback = () => {};
+    if (!addedUser || !data) {
+      return callback({ error: 'not logged in' });
+    }
+    callback(await moderate(socket, data));
+  }));
+
+  // when a moderator emits 'moderation log', we answer with the latest actions
+  socket.on('moderation log', (callback) => {
+    if (typeof callback !== 'function') return;
+    if (!isModerator(socket)) {
+      return callback({ error: 'not allowed' });
+    }
+    callback({ entries: moderation.findEntries() });
+  });
+
+  // when the client emits 'publish key', we put the public key it encrypts
+  // private messages with in the directory, and give it to everybody
+  socket.on('publish key', (publicKey, callback) => {
+    if (typeof callback !== 'function') callback = () => {};
+    const account = accountStore.findAccount(socket.userID);
+    if (!addedUser || !account) {
+      return callback({ error: 'not logged in' });
+    }
+    if (!isPublicKey(publicKey)) {
+      return callback({ error: 'invalid public key' });
+    }
+    callback({});
+    if (account.publicKey === publicKey.toString('base64')) return;
+    const saved = accountStore.saveAccount({ ...account, publicKey: publicKey.toString('base64') });
+    tellOtherNodes('account saved', saved);
+    io.emit('public key', { userID: socket.userID, publicKey });
+  });
+
+  // when the client emits 'private message', we forward it to the recipient's
+  // tabs (and the sender's other tabs) and acknowledge whether it got there;
+  // an encrypted one is relayed and saved as it is, only its form is checked
+  socket.on('private message', (data, callback) => {
+    if (typeof callback !== 'function') callback = () => {};
+    let { to, message, encrypted, clientId } = data || {};
+    if (!addedUser) {
+      return callback({ error: 'not logged in' });
+    }
+    if (!findRecipient(to, socket.userID)) {
+      return callback({ error: 'unknown recipient' });
+    }
+    if (encrypted !== undefined) {
+      encrypted = checkEncrypted(encrypted);
+      if (!encrypted) {
+        return callback({ error: 'invalid encrypted message' });
+      }
+      message = '';
+    } else if (typeof message !== 'string' || !message) {
+      return callback({ error: 'empty message' });
+    }
+
+    const privateMessage = saveMessage({
+      from: socket.userID,
+      to,
+      username: socket.username,
+      message,
+      encrypted,
+      clientId: isClientId(clientId) ? clientId : undefined
+    });
+    deliverPrivateMessage(socket, privateMessage, callback);
+  });
+
+  // when the client emits 'send file', we check and store the file, then send
+  // it as a message to the room, or the user, it is meant for
+  socket.on('send file', handleAsync(async (file, callback) => {
+    if (typeof callback !== 'function') callback = () => {};
+    if (!addedUser) {
+      return callback({ error: 'not logged in' });
+    }
+    const { to, name, type, data, message = '' } = file || {};
+    const room = to ? null : roomOf(file);
+    if (to ? !findRecipient(to, socket.userID) : !room) {
+      return callback({ error: 'unknown recipient' });
+    }
+    let attachment;
+    try {
+      attachment = await fileStore.saveFile({ name, type, data });
+    } catch (err) {
+      console.error('could not save file', err);
+      return callback({ error: 'could not save the file' });
+    }
+    if (attachment.error) {
+      return callback(attachment);
+    }
+
+    const saved = saveMessage({
+      room,
+      from: socket.userID,
+      to,
       username: socket.username,
-      numUsers: numUsers
+      message: typeof message === 'string' ? message : '',
+      attachment
     });
+    if (to) {
+      return deliverPrivateMessage(socket, saved, callback);
+    }
+    callback({ message: saved });
+    deliverMessage(socket, saved);
+  }));
+
+  // when the client emits 'join room', we add it to the room and answer with its history
+  socket.on('join room', handleAsync(async (room, callback) => {
+    if (typeof callback !== 'function') return;
+    if (!addedUser) {
+      return callback({ error: 'not logged in' });
+    }
+    callback(await enterRoom(room));
+  }));
+
+  // when the client emits 'leave room', we remove it from the room
+  socket.on('leave room', (room, callback) => {
+    if (room === DEFAULT_ROOM || !joinedRooms.has(room)) {
+      if (typeof callback === 'function') callback({ error: 'cannot leave this room' });
+      return;
+    }
+    leaveRoom(room).catch(logFailure(`leave ${room}`));
+    if (typeof callback === 'function') callback({ room });
   });
 
-  // when the client emits 'typing', we broadcast it to others
-  socket.on('typing', () => {
-    socket.broadcast.emit('typing', {
+  // when the client emits 'list rooms', we answer with every room and its user count
+  socket.on('list rooms', handleAsync(async (callback) => {
+    if (typeof callback !== 'function') return;
+    callback(await listRooms());
+  }));
+
+  // when the client emits 'typing', we broadcast it to the others in the room
+  socket.on('typing', (data) => {
+    const room = roomOf(data);
+    if (!room) return;
+    socket.to(room).emit('typing', {
+      room,
       username: socket.username
     });
   });
 
-  // when the client emits 'stop typing', we broadcast it to others
-  socket.on('stop typing', () => {
-    socket.broadcast.emit('stop typing', {
+  // when the client emits 'stop typing', we broadcast it to the others in the room
+  socket.on('stop typing', (data) => {
+    const room = roomOf(data);
+    if (!room) return;
+    socket.to(room).emit('stop typing', {
+      room,
       username: socket.username
     });
   });
 
+  // when a tab becomes idle, hidden or active again, the roster may change
+  socket.on('presence', (status) => {
+    if (!addedUser || !STATUSES.includes(status) || status === socket.data.status) return;
+    socket.data.status = status;
+    updatePresence(socket.userID);
+  });
+
   // when the user disconnects.. perform this
-  socket.on('disconnect', () => {
+  socket.on('disconnect', handleAsync(async () => {
+    if (outboxReceivers.get(socket.conn) === receiveFromOutbox) {
+      outboxReceivers.delete(socket.conn);
+    }
     if (addedUser) {
-      --numUsers;
+      updatePresence(socket.userID);
+      // echo to every room of this client that it has left
+      [...joinedRooms].forEach((room) => leaveRoom(room).catch(logFailure(`leave ${room}`)));
 
-      // echo globally that this client has left
-      socket.broadcast.emit('user left', {
-        username: socket.username,
-        numUsers: numUsers
-      });
+      const matchingSockets = await io.in(socket.userID).fetchSockets();
+      if (matchingSockets.length === 0) {
+        // notify other users
+        socket.broadcast.emit('user disconnected', socket.userID);
+        // update the connection status of the session
+        saveSession(socket.userID, {
+          userID: socket.userID,
+          username: socket.username,
+          connected: false
+        });
+      }
     }
+  }));
+});
+
+// Bots
+
+// a bot connects with io('/bots', { auth: { token } }), 'subscribe's to rooms
+// to get their 'new message's, and posts with 'message'; what it posts has
+// `bot: true`, for the badge the clients show
+bots.use((socket, next) => {
+  const bot = botRegistry.findBot(socket.handshake.auth.token);
+  if (!bot) {
+    return next(new Error('invalid token'));
+  }
+  socket.data.userID = bot.userID;
+  socket.data.username = bot.name;
+  next();
+});
+
+bots.on('connection', (socket) => {
+  const { userID, username } = socket.data;
+  // its own messages are not sent back to it
+  socket.join(userID);
+
+  // when a bot emits 'subscribe', we answer with the topic and the latest
+  // messages of the room
+  socket.on('subscribe', handleAsync(async (room, callback) => {
+    if (typeof callback !== 'function') callback = () => {};
+    if (typeof room !== 'string' || !ROOM_NAME.test(room)) {
+      return callback({ error: 'invalid room name' });
+    }
+    await socket.join(room);
+    callback({
+      room,
+      topic: (rooms.get(room) || {}).topic || '',
+      history: messageStore.findMessages({ room, limit: HISTORY_SIZE }).messages
+    });
+  }));
+
+  socket.on('unsubscribe', handleAsync(async (room, callback) => {
+    if (typeof callback !== 'function') callback = () => {};
+    if (typeof room !== 'string' || !ROOM_NAME.test(room)) {
+      return callback({ error: 'invalid room name' });
+    }
+    await socket.leave(room);
+    callback({ room });
+  }));
+
+  // when a bot emits 'message' ({ room, message, parentId }), we post it in a
+  // room it subscribed to, or in a thread of that room with `parentId`
+  socket.on('message', (data, callback) => {
+    if (typeof callback !== 'function') callback = () => {};
+    const { room, parentId } = data || {};
+    if (typeof room !== 'string' || !ROOM_NAME.test(room) || !socket.rooms.has(room)) {
+      return callback({ error: 'not subscribed' });
+    }
+    if (typeof data.message !== 'string' || !data.message) {
+      return callback({ error: 'empty message' });
+    }
+    const text = sanitizeText(data.message);
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      return callback({ error: 'message too long', params: { max: MAX_MESSAGE_LENGTH } });
+    }
+    const retryAfter = rateLimiter.check(userID, 'new message', room);
+    if (retryAfter) {
+      return callback({ error: 'rate limited', retryAfter });
+    }
+    let threadId;
+    if (parentId) {
+      const parent = messageStore.findMessage(parentId);
+      if (!parent || parent.room !== room) {
+        return callback({ error: 'unknown message' });
+      }
+      threadId = parent.parentId || parent.id;
+    }
+    const message = saveMessage({
+      room,
+      from: userID,
+      username,
+      message: text,
+      parentId: threadId,
+      bot: true
+    });
+    if (threadId) {
+      deliverReply(io, message);
+    } else {
+      deliverMessage(io, message);
+    }
+    notifyMentions(message);
+    callback({ id: message.id, timestamp: message.timestamp });
   });
-});
\ No newline at end of file
+});
+
+// Outbox
+
+// the clients send the messages of their outbox on a socket of /outbox, with
+// socket.io's `retries` and `ackTimeout`, so that a message waiting for its
+// answer holds back none of their other packets; the socket of the main
+// namespace on the same connection handles them, as the messages of its user
+outboxes.on('connection', (socket) => {
+  ['new message', 'private message'].forEach((event) => {
+    socket.on(event, (...args) => {
+      const receive = outboxReceivers.get(socket.conn);
+      if (receive) return receive([event, ...args]);
+      const callback = args[args.length - 1];
+      if (typeof callback === 'function') {
+        callback({ error: 'not logged in' });
+      }
+    });
+  });
+});
+
+// Admin
+
+// how often the dashboards get new statistics
+const ADMIN_STATS_INTERVAL = 2000;
+
+const isOwner = (user) => roleOf(user.userID) === 'owner';
+
+// the live statistics of this node (the other nodes of a cluster have their
+// own): its sockets, how many are in each room and which transport they
+// use, the messages of the last hour and its memory
+const ADMIN_STATS = {
+  rooms: () => [...rooms.keys()].map((room) => ({
+    room,
+    sockets: (io.of('/').adapter.rooms.get(room) || new Set()).size
+  })),
+  messages: () => messageStats.perMinute(),
+  talkers: () => messageStats.topTalkers(),
+  transports: () => countTransports(io.of('/').sockets.values()),
+  memory: () => process.memoryUsage()
+};
+
+const adminStats = () => {
+  const stats = {
+    time: Date.now(),
+    sockets: io.of('/').sockets.size,
+    bots: bots.sockets.size
+  };
+  Object.keys(ADMIN_STATS).forEach((name) => {
+    stats[name] = ADMIN_STATS[name]();
+  });
+  return stats;
+};
+
+const requireOwner = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'not logged in' });
+  }
+  if (!isOwner(req.user)) {
+    return res.status(403).json({ error: 'not allowed' });
+  }
+  next();
+};
+
+// the dashboard, its script and its stylesheet are kept out of public/, so
+// that only the owners get them
+app.get('/admin', requireOwner, (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin', 'admin.html'));
+});
+app.use('/admin', requireOwner, express.static(path.join(__dirname, 'admin'), { index: false }));
+
+// all the statistics at once, or one of them, like /admin/stats/memory
+app.get('/admin/stats', requireOwner, (req, res) => {
+  res.json(adminStats());
+});
+
+app.get('/admin/stats/:name', requireOwner, (req, res) => {
+  if (!Object.prototype.hasOwnProperty.call(ADMIN_STATS, req.params.name)) {
+    return res.status(404).json({ error: 'unknown statistic' });
+  }
+  res.json(ADMIN_STATS[req.params.name]());
+});
+
+// the dashboard connects with io('/admin') and gets 'stats' right away, then
+// every ADMIN_STATS_INTERVAL; the session cookie of the handshake must be the
+// one of an owner
+admins.use((socket, next) => {
+  const user = socket.request.user;
+  if (!user) {
+    return next(new Error('not logged in'));
+  }
+  next(isOwner(user) ? undefined : new Error('not allowed'));
+});
+
+admins.on('connection', (socket) => {
+  // /logout disconnects it too
+  socket.join(`session:${socket.request.session.id}`);
+  socket.emit('stats', adminStats());
+});
+
+setInterval(() => {
+  if (admins.sockets.size) {
+    admins.emit('stats', adminStats());
+  }
+}, ADMIN_STATS_INTERVAL).unref();
@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+const digestOf = (token) => crypto.createHash('sha256').update(token).digest();
+
+// the bots allowed to connect to the /bots namespace, each with its secret
+// token; only a hash of the tokens is kept, and they are compared in
+// constant time
+class BotRegistry {
+  // tokens - { [bot name]: token }
+  constructor(tokens = {}) {
+    this.bots = Object.entries(tokens)
+      .filter(([name, token]) => name && typeof token === 'string' && token)
+      .map(([name, token]) => ({ name, digest: digestOf(token) }));
+  }
+
+  // returns { name, userID } for the bot with `token`, or undefined
+  findBot(token) {
+    if (typeof token !== 'string' || !token) return undefined;
+    const digest = digestOf(token);
+    const bot = this.bots.find((bot) => crypto.timingSafeEqual(bot.digest, digest));
+    return bot && { name: bot.name, userID: `bot:${bot.name}` };
+  }
+}
+
+module.exports = {
+  BotRegistry
+};
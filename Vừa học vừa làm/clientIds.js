@@ -0,0 +1,38 @@
+// how many messages are remembered before the oldest ones are forgotten
+const MAX_TRACKED = 1000;
+const MAX_CLIENT_ID_LENGTH = 64;
+
+// the id a client gives to a message it sends, to send it again when it gets
+// no answer: any short string
+const isClientId = (clientId) => {
+  return typeof clientId === 'string' && clientId.length > 0 && clientId.length <= MAX_CLIENT_ID_LENGTH;
+};
+
+// remembers, for the latest messages, the id their sender gave them, so that
+// a message sent again (the answer to the first try was lost) is not saved
+// twice; the ids of different users may be the same
+class ClientIdTracker {
+  constructor(maxTracked = MAX_TRACKED) {
+    this.maxTracked = maxTracked;
+    this.messageIds = new Map();
+  }
+
+  // message - a saved message, with the `from` and `clientId` of its sender
+  track({ id, from, clientId }) {
+    if (!isClientId(clientId)) return;
+    this.messageIds.set(`${from}:${clientId}`, id);
+    if (this.messageIds.size > this.maxTracked) {
+      this.messageIds.delete(this.messageIds.keys().next().value);
+    }
+  }
+
+  // returns the id of the message `userID` already sent with `clientId`
+  findMessageId(userID, clientId) {
+    return this.messageIds.get(`${userID}:${clientId}`);
+  }
+}
+
+module.exports = {
+  isClientId,
+  ClientIdTracker
+};
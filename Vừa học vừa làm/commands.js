@@ -0,0 +1,181 @@
+// a command is a message starting with a single '/', like '/join dev';
+// '//text' is an escaped message that is sent as '/text'
+const COMMAND = /^\/([a-z]+)(?:\s+([\s\S]*))?$/i;
+
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+  }
+
+  // handler - called with the arguments (the text after the name) and a
+  //   context holding the socket, the room, the user and `reply(key, params)`,
+  //   which sends a text of public/i18n.js for the client to show in its own
+  //   language; it may return data that is added to the caller's
+  //   acknowledgement
+  register(name, { usage = '', description, handler }) {
+    this.commands.set(name.toLowerCase(), { name, usage, description, handler });
+    return this;
+  }
+
+  list() {
+    return [...this.commands.values()].map(({ name, usage, description }) => ({
+      name,
+      usage,
+      description
+    }));
+  }
+
+  // returns { name, args } if `text` is a command, null otherwise
+  parse(text) {
+    if (typeof text !== 'string' || text.startsWith('//')) return null;
+    const match = COMMAND.exec(text.trim());
+    if (!match) return null;
+    return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+  }
+
+  // runs the command in `text`, and resolves with the caller's acknowledgement
+  async run(text, context) {
+    const { name, args } = this.parse(text);
+    const command = this.commands.get(name);
+    if (!command) {
+      context.reply('command.unknown', { name });
+      return { command: name, error: 'unknown command' };
+    }
+    try {
+      const result = await command.handler(args, context);
+      return { command: name, ...result };
+    } catch (err) {
+      console.error(`command /${name} failed`, err);
+      context.reply('command.failed', { name });
+      return { command: name, error: 'command failed' };
+    }
+  }
+}
+
+// the commands every chat has; the context provides the actions they use:
+// sendMessage(), changeUsername(), joinRoom(), setTopic(), topicOf(),
+// moderate(), isModerator(), setSlowMode() and transcriptUrl()
+const createCommandRegistry = () => {
+  const commands = new CommandRegistry();
+
+  commands.register('help', {
+    description: 'list the commands',
+    handler: (args, { reply }) => {
+      commands.list().forEach(({ name, usage }) => {
+        reply('command.help', {
+          command: `/${name}${usage ? ' ' + usage : ''}`,
+          description: { key: `command.description.${name}` }
+        });
+      });
+    }
+  });
+
+  commands.register('me', {
+    usage: '<action>',
+    description: 'describe what you are doing',
+    handler: (args, { room, reply, sendMessage }) => {
+      if (!room) return reply('command.roomOnly', { name: 'me' });
+      if (!args) return reply('command.usage', { usage: '/me <action>' });
+      return { message: sendMessage(args, { action: true }) };
+    }
+  });
+
+  commands.register('nick', {
+    usage: '<username>',
+    description: 'change your username',
+    handler: (args, { reply, changeUsername }) => {
+      if (!args) return reply('command.usage', { usage: '/nick <username>' });
+      const { error, params, username } = changeUsername(args);
+      if (error) return reply('command.nick.failed', { error: { error, params } });
+      reply('command.nick.done', { username });
+    }
+  });
+
+  commands.register('join', {
+    usage: '<room>',
+    description: 'join a room, creating it if needed',
+    handler: async (args, { reply, joinRoom }) => {
+      if (!args) return reply('command.usage', { usage: '/join <room>' });
+      const { error, params } = await joinRoom(args.replace(/^#/, ''));
+      if (error) reply('command.join.failed', { room: args, error: { error, params } });
+    }
+  });
+
+  commands.register('topic', {
+    usage: '[topic]',
+    description: 'show or set the topic of the room',
+    handler: (args, { room, reply, setTopic, topicOf }) => {
+      if (!room) return reply('command.roomOnly', { name: 'topic' });
+      if (!args) {
+        const topic = topicOf(room);
+        return reply(topic ? 'command.topic.show' : 'command.topic.none', { room, topic });
+      }
+      setTopic(room, args);
+    }
+  });
+
+  // '/mute alice 30' or '/kick alice being rude': the first word names the
+  // user, usernames with spaces are not supported here
+  const moderationCommand = (action, usage, description, options) => {
+    commands.register(action, {
+      usage,
+      description,
+      handler: async (args, { reply, moderate }) => {
+        const [username, ...rest] = args.split(/\s+/);
+        if (!username) return reply('command.usage', { usage: `/${action} ${usage}` });
+        const { error, params } = await moderate(action, username, options(rest.join(' ')));
+        if (error) {
+          reply('command.moderate.failed', {
+            action: { key: `command.action.${action}` },
+            username,
+            error: { error, params }
+          });
+        }
+      }
+    });
+  };
+  moderationCommand('mute', '<user> [minutes]', 'stop a user from sending messages', (rest) => ({ duration: rest }));
+  moderationCommand('unmute', '<user>', 'let a muted user talk again', () => ({}));
+  moderationCommand('kick', '<user> [reason]', 'disconnect a user', (rest) => ({ reason: rest }));
+  // '/ban alice --ip spam' also bans the addresses alice is connected from
+  moderationCommand('ban', '<user> [--ip] [reason]', 'disconnect a user and keep them out', (rest) => ({
+    ip: /^--ip\b/.test(rest),
+    reason: rest.replace(/^--ip\b\s*/, '')
+  }));
+  moderationCommand('unban', '<user>', 'let a banned user back in', () => ({}));
+  moderationCommand('role', '<user> <member|moderator>', 'change the role of a user', (rest) => ({ role: rest }));
+
+  commands.register('slowmode', {
+    usage: '<seconds|off>',
+    description: 'make users wait between two messages in the room',
+    handler: (args, { room, reply, isModerator, setSlowMode }) => {
+      if (!room) return reply('command.roomOnly', { name: 'slowmode' });
+      if (!isModerator()) return reply('command.moderatorsOnly', { name: 'slowmode' });
+      const seconds = args === 'off' ? 0 : Number(args);
+      if (!Number.isFinite(seconds) || seconds < 0 || seconds > 3600) {
+        return reply('command.usage', { usage: '/slowmode <seconds|off>' });
+      }
+      setSlowMode(room, seconds);
+    }
+  });
+
+  commands.register('export', {
+    usage: '[html|txt|jsonl] [from] [to]',
+    description: 'download the history of the room, e.g. /export txt 2024-05-01 2024-05-31',
+    handler: (args, { room, reply, transcriptUrl }) => {
+      if (!room) return reply('command.roomOnly', { name: 'export' });
+      const [format, since, until] = args.split(/\s+/).filter(Boolean);
+      const { url, error, params } = transcriptUrl(room, { format, since, until });
+      if (error) return reply('command.export.failed', { error: { error, params } });
+      reply('command.export.started', { room });
+      return { download: url };
+    }
+  });
+
+  return commands;
+};
+
+module.exports = {
+  CommandRegistry,
+  createCommandRegistry
+};
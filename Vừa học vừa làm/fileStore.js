@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// the types users may share, and the extension their files are stored with
+const ALLOWED_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'text/plain': 'txt'
+};
+
+// the bytes (by offset) each binary type starts with, so a file cannot lie
+// about what it is
+const SIGNATURES = [
+  { type: 'image/png', parts: [[0, [0x89, 0x50, 0x4e, 0x47]]] },
+  { type: 'image/jpeg', parts: [[0, [0xff, 0xd8, 0xff]]] },
+  { type: 'image/gif', parts: [[0, [0x47, 0x49, 0x46, 0x38]]] },
+  { type: 'image/webp', parts: [[0, [0x52, 0x49, 0x46, 0x46]], [8, [0x57, 0x45, 0x42, 0x50]]] },
+  { type: 'application/pdf', parts: [[0, [0x25, 0x50, 0x44, 0x46]]] },
+  { type: 'application/zip', parts: [[0, [0x50, 0x4b, 0x03, 0x04]]] }
+];
+
+// guesses the type of a file from its content: 'text/plain' if it has no
+// known signature and no null byte, null if it is unknown binary data
+const detectType = (data) => {
+  const signature = SIGNATURES.find(({ parts }) =>
+    parts.every(([offset, bytes]) =>
+      bytes.every((byte, i) => data[offset + i] === byte)
+    )
+  );
+  if (signature) return signature.type;
+  return data.includes(0) ? null : 'text/plain';
+};
+
+/* abstract */ class FileStore {
+  saveFile({ name, type, data }) {}
+}
+
+// writes each file once under `dir`, named after the hash of its content
+class DiskFileStore extends FileStore {
+  constructor(dir, { maxSize, urlPrefix = '/files' }) {
+    super();
+    this.dir = dir;
+    this.maxSize = maxSize;
+    this.urlPrefix = urlPrefix;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  // checks the file and stores it; resolves with its description, or with
+  // { error, params } if it may not be shared
+  async saveFile({ name, type, data }) {
+    if (!Buffer.isBuffer(data) || !data.length) {
+      return { error: 'empty file' };
+    }
+    if (data.length > this.maxSize) {
+      return { error: 'file too large', params: { max: Math.floor(this.maxSize / 1024) } };
+    }
+    if (!ALLOWED_TYPES[type]) {
+      return { error: 'file type not allowed' };
+    }
+    if (detectType(data) !== type) {
+      return { error: 'file content does not match its type' };
+    }
+
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+    const filename = `${hash}.${ALLOWED_TYPES[type]}`;
+    const file = path.join(this.dir, filename);
+    // the same content is only written once
+    if (!fs.existsSync(file)) {
+      await fs.promises.writeFile(file, data);
+    }
+    return {
+      hash,
+      name: typeof name === 'string' && name ? path.basename(name).slice(0, 100) : filename,
+      type,
+      size: data.length,
+      url: `${this.urlPrefix}/${filename}`
+    };
+  }
+}
+
+module.exports = {
+  ALLOWED_TYPES,
+  detectType,
+  DiskFileStore
+};
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const randomId = () => crypto.randomBytes(8).toString('hex');
+
+// the binary fields of an encrypted message, written to a file as base64
+const ENCRYPTED_FIELDS = ['iv', 'ciphertext', 'senderKey', 'recipientKey'];
+
+const convertEncrypted = (encrypted, convert) => {
+  return Object.fromEntries(ENCRYPTED_FIELDS.map((field) => [field, convert(encrypted[field])]));
+};
+
+/* abstract */ class MessageStore {
+  saveMessage(message) {}
+  findMessage(id) {}
+  editMessage(id, message) {}
+  findEdits(id) {}
+  deleteMessage(id) {}
+  addReaction(id, emoji, userID) {}
+  removeReaction(id, emoji, userID) {}
+  findMessages({ room, before, limit }) {}
+  findReplies(parentId) {}
+  findMessagesForUser(userID) {}
+  findAllMessages() {}
+  iterateMessages({ room, since, until }) {}
+}
+
+class InMemoryMessageStore extends MessageStore {
+  constructor() {
+    super();
+    this.messages = [];
+    this.messagesById = new Map();
+    // the previous versions of the edited messages, by id; they are kept apart
+    // so that they are never sent with the messages
+    this.edits = new Map();
+  }
+
+  // assigns an id and a timestamp, and returns the stored message
+  // (private messages have no room, but a `from` and a `to` user id; replies
+  // in a thread have the `parentId` of the message they answer; bots post
+  // messages with `bot` set; `clientId` is the id the sender gave it; an
+  // encrypted private message has its binary fields in `encrypted`, and no text)
+  saveMessage({ room = null, from, to, username, message, attachment, action, parentId, bot, clientId, encrypted }) {
+    const stored = {
+      id: randomId(),
+      room,
+      from,
+      to,
+      username,
+      message,
+      attachment,
+      action,
+      parentId,
+      bot,
+      clientId,
+      encrypted,
+      timestamp: Date.now()
+    };
+    this.messages.push(stored);
+    this.messagesById.set(stored.id, stored);
+    this.countReply(stored, 1);
+    return stored;
+  }
+
+  // keeps the number of replies, and the time of the latest one, on the
+  // message that started the thread
+  countReply(reply, delta) {
+    const parent = reply.parentId && this.messagesById.get(reply.parentId);
+    if (!parent) return undefined;
+    parent.replyCount = (parent.replyCount || 0) + delta;
+    if (delta > 0) {
+      parent.lastReplyAt = reply.timestamp;
+    }
+    return parent;
+  }
+
+  findMessage(id) {
+    const message = this.messagesById.get(id);
+    return message && !message.deleted ? message : undefined;
+  }
+
+  // replaces the text of a message, keeping the previous versions
+  editMessage(id, message) {
+    const stored = this.findMessage(id);
+    if (!stored) return undefined;
+    this.edits.set(id, this.findEdits(id).concat({
+      message: stored.message,
+      editedAt: stored.editedAt || stored.timestamp
+    }));
+    stored.message = message;
+    stored.editedAt = Date.now();
+    return stored;
+  }
+
+  // returns the previous versions of a message, oldest first, as
+  // [{ message, editedAt }]
+  findEdits(id) {
+    return this.edits.get(id) || [];
+  }
+
+  // hides a message from the history; it stays in the store, edits included
+  deleteMessage(id) {
+    const stored = this.findMessage(id);
+    if (!stored) return undefined;
+    stored.deleted = true;
+    stored.deletedAt = Date.now();
+    this.countReply(stored, -1);
+    return stored;
+  }
+
+  // reactions are kept as { emoji: [user ids] }; returns the message, or null
+  // if the user had already reacted this way
+  addReaction(id, emoji, userID) {
+    const stored = this.findMessage(id);
+    if (!stored) return undefined;
+    const reactions = stored.reactions || {};
+    if ((reactions[emoji] || []).includes(userID)) return null;
+    reactions[emoji] = (reactions[emoji] || []).concat(userID);
+    stored.reactions = reactions;
+    return stored;
+  }
+
+  // returns the message, or null if the user had not reacted this way
+  removeReaction(id, emoji, userID) {
+    const stored = this.findMessage(id);
+    if (!stored) return undefined;
+    const users = (stored.reactions || {})[emoji] || [];
+    if (!users.includes(userID)) return null;
+    stored.reactions[emoji] = users.filter((user) => user !== userID);
+    if (!stored.reactions[emoji].length) {
+      delete stored.reactions[emoji];
+    }
+    return stored;
+  }
+
+  // returns at most `limit` messages of `room` older than the one with id
+  // `before` (or the most recent ones), oldest first; thread replies are not
+  // part of the room's stream. `before` may have been deleted since the
+  // client got it; an unknown one has nothing before it
+  findMessages({ room, before, limit = 50 } = {}) {
+    let stream = this.messages.filter((message) => message.room === room && !message.parentId);
+    if (before) {
+      const index = stream.findIndex(({ id }) => id === before);
+      stream = index === -1 ? [] : stream.slice(0, index);
+    }
+    const messages = stream.filter((message) => !message.deleted);
+    const end = messages.length;
+    const start = Math.max(0, end - limit);
+    return {
+      messages: messages.slice(start, end),
+      hasMore: start > 0
+    };
+  }
+
+  // returns the replies to the message with id `parentId`, oldest first
+  findReplies(parentId) {
+    return this.messages.filter(
+      (message) => message.parentId === parentId && !message.deleted
+    );
+  }
+
+  // returns the private messages sent or received by `userID`, oldest first
+  findMessagesForUser(userID) {
+    return this.messages.filter(
+      ({ room, from, to, deleted }) =>
+        !room && !deleted && (from === userID || to === userID)
+    );
+  }
+
+  // returns every message that was not deleted, oldest first
+  findAllMessages() {
+    return this.messages.filter((message) => !message.deleted);
+  }
+
+  // yields the messages of `room`, replies included, sent between the
+  // timestamps `since` and `until`, oldest first, one at a time
+  * iterateMessages({ room, since = 0, until = Infinity }) {
+    for (const message of this.messages) {
+      if (message.room === room && !message.deleted &&
+          message.timestamp >= since && message.timestamp <= until) {
+        yield message;
+      }
+    }
+  }
+}
+
+// keeps the messages in memory and appends each one as a JSON line to `file`,
+// so the history survives a restart of the server; an edited or deleted message
+// is appended again, with its previous versions in `edits`, and the last line
+// with a given id wins when loading
+class FileMessageStore extends InMemoryMessageStore {
+  constructor(file) {
+    super();
+    this.file = file;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) {
+      fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter((line) => line.trim())
+        .forEach((line) => {
+          try {
+            // messages written before rooms existed belong to the default one
+            const { edits, ...message } = { room: 'general', ...JSON.parse(line) };
+            if (edits) {
+              this.edits.set(message.id, edits);
+            }
+            if (message.encrypted) {
+              message.encrypted = convertEncrypted(message.encrypted, (value) => Buffer.from(value, 'base64'));
+            }
+            if (this.messagesById.has(message.id)) {
+              Object.assign(this.messagesById.get(message.id), message);
+            } else {
+              this.messages.push(message);
+              this.messagesById.set(message.id, message);
+            }
+          } catch (e) {
+            // skip a line truncated by a crash
+          }
+        });
+    }
+    this.stream = fs.createWriteStream(file, { flags: 'a' });
+    this.stream.on('error', (err) => {
+      console.error('could not save message', err);
+    });
+  }
+
+  write(message) {
+    if (message) {
+      const line = { ...message };
+      if (this.edits.has(message.id)) {
+        line.edits = this.edits.get(message.id);
+      }
+      if (message.encrypted) {
+        line.encrypted = convertEncrypted(message.encrypted, (value) => value.toString('base64'));
+      }
+      this.stream.write(JSON.stringify(line) + '\n');
+    }
+    return message;
+  }
+
+  // the message that started a thread is written again with its new count
+  saveMessage(message) {
+    const stored = this.write(super.saveMessage(message));
+    this.write(stored.parentId && this.messagesById.get(stored.parentId));
+    return stored;
+  }
+
+  editMessage(id, message) {
+    return this.write(super.editMessage(id, message));
+  }
+
+  deleteMessage(id) {
+    const stored = this.write(super.deleteMessage(id));
+    this.write(stored && stored.parentId && this.messagesById.get(stored.parentId));
+    return stored;
+  }
+
+  addReaction(id, emoji, userID) {
+    return this.write(super.addReaction(id, emoji, userID));
+  }
+
+  removeReaction(id, emoji, userID) {
+    return this.write(super.removeReaction(id, emoji, userID));
+  }
+}
+
+module.exports = {
+  InMemoryMessageStore,
+  FileMessageStore
+};
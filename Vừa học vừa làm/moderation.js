@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { normalize } = require('./usernames');
+
+// the roles, from the least to the most powerful
+const ROLES = ['member', 'moderator', 'owner'];
+const rank = (role) => ROLES.indexOf(role);
+
+// tells if a user with role `actor` may moderate one with role `target`
+const canModerate = (actor, target) => {
+  return rank(actor) >= rank('moderator') && rank(actor) > rank(target);
+};
+
+// keeps the roles (by user id), mutes and bans, and writes every action as a JSON line to
+// the audit log `file`; the log is replayed when the server starts, so the
+// bans survive a restart
+class Moderation {
+  // owners, moderators - the user ids that have these roles from the start
+  constructor(file, { owners = [], moderators = [] } = {}) {
+    this.file = file;
+    this.roles = new Map();
+    this.mutes = new Map();
+    this.bannedUsers = new Map();
+    this.bannedIps = new Map();
+    this.entries = [];
+    moderators.forEach((userID) => this.roles.set(userID, 'moderator'));
+    owners.forEach((userID) => this.roles.set(userID, 'owner'));
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) {
+      fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter((line) => line.trim())
+        .forEach((line) => {
+          try {
+            this.apply(JSON.parse(line));
+          } catch (e) {
+            // skip a line truncated by a crash
+          }
+        });
+    }
+    this.stream = fs.createWriteStream(file, { flags: 'a' });
+    this.stream.on('error', (err) => {
+      console.error('could not write the audit log', err);
+    });
+  }
+
+  roleOf(userID) {
+    return this.roles.get(userID) || 'member';
+  }
+
+  // returns when the mute of `userID` ends, or null if it is not muted
+  mutedUntil(userID) {
+    const until = this.mutes.get(userID);
+    if (!until) return null;
+    if (until <= Date.now()) {
+      this.mutes.delete(userID);
+      return null;
+    }
+    return until;
+  }
+
+  // the moderators and owners are never kept out by the ban of an address
+  // they share with a banned user
+  isBanned({ userID, ip, role = 'member' }) {
+    return this.bannedUsers.has(userID) || (this.bannedIps.has(ip) && rank(role) < rank('moderator'));
+  }
+
+  // applies an action to the state, without logging it
+  apply(entry) {
+    this.entries.push(entry);
+    const { action, target = {} } = entry;
+    switch (action) {
+      case 'role':
+        this.roles.set(target.userID, entry.role);
+        break;
+      case 'mute':
+        this.mutes.set(target.userID, entry.until);
+        break;
+      case 'unmute':
+        this.mutes.delete(target.userID);
+        break;
+      case 'ban':
+        this.bannedUsers.set(target.userID, entry);
+        (entry.ips || []).forEach((ip) => this.bannedIps.set(ip, entry));
+        break;
+      case 'unban':
+        this.bannedUsers.delete(target.userID);
+        (entry.ips || []).forEach((ip) => this.bannedIps.delete(ip));
+        break;
+      // a kick changes nothing, it is only logged
+    }
+  }
+
+  // applies an action and appends it to the audit log
+  // entry - { action, actor: { userID, username }, target: { userID, username }, ... }
+  record(entry) {
+    entry = { ...entry, timestamp: Date.now() };
+    this.apply(entry);
+    this.stream.write(JSON.stringify(entry) + '\n');
+    return entry;
+  }
+
+  // the banned user going by `username`, as { userID, username }; bans outlive
+  // the sessions, so this is how a user is found again after a restart
+  findBannedUser(username) {
+    const ban = [...this.bannedUsers.values()].find(
+      ({ target }) => normalize(target.username) === normalize(username)
+    );
+    return ban ? ban.target : undefined;
+  }
+
+  // the IPs banned together with `userID`
+  ipsOf(userID) {
+    const ban = this.bannedUsers.get(userID);
+    return ban ? ban.ips || [] : [];
+  }
+
+  // the latest entries of the audit log, most recent first
+  findEntries({ limit = 50 } = {}) {
+    return this.entries.slice(-limit).reverse();
+  }
+}
+
+module.exports = {
+  ROLES,
+  canModerate,
+  Moderation
+};
@@ -0,0 +1,36 @@
+// the statuses of a tab, from the most to the least present
+const STATUSES = ['online', 'idle', 'away'];
+
+// builds the roster of the users who are online from their sockets, on this
+// node or on any node of a cluster (as returned by fetchSockets()): each tab
+// keeps its `userID`, `username`, `connectedAt` and `status` in socket.data
+const rosterOf = (sockets) => {
+  const users = new Map();
+  sockets.forEach(({ data }) => {
+    // sockets that have not logged in yet are not on the roster
+    if (!data.username) return;
+    if (!users.has(data.userID)) {
+      users.set(data.userID, {
+        userID: data.userID,
+        username: data.username,
+        joinedAt: data.connectedAt,
+        statuses: [],
+        tabs: 0
+      });
+    }
+    const user = users.get(data.userID);
+    user.joinedAt = Math.min(user.joinedAt, data.connectedAt);
+    user.statuses.push(data.status);
+    user.tabs++;
+  });
+  // a user is as present as its most present tab
+  return [...users.values()].map(({ statuses, ...user }) => ({
+    ...user,
+    status: STATUSES.find((status) => statuses.includes(status)) || 'online'
+  }));
+};
+
+module.exports = {
+  STATUSES,
+  rosterOf
+};
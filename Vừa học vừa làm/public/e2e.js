@@ -0,0 +1,141 @@
+// Private messages encrypted end to end with WebCrypto. Each user has an
+// ECDH P-256 key pair in each browser; the server only keeps the public keys
+// and relays the ciphertexts. Both ends of a conversation derive the same
+// AES-GCM key from their own private key and the other's public key (ECDH,
+// then HKDF), and every message gets a random iv. The ids of the sender and
+// the recipient are authenticated with the text, so that the server cannot
+// pass a message off as one of another conversation.
+// The page loads it as window.e2e, the tests require() it.
+(function (exports) {
+  const CURVE = { name: 'ECDH', namedCurve: 'P-256' };
+  const IV_LENGTH = 12;
+  const HKDF_INFO = new TextEncoder().encode('MungGo private messages');
+  // where the browser keeps the key pairs, by user id
+  const DATABASE = 'munggo-e2e';
+  const STORE = 'keyPairs';
+
+  // WebCrypto only exists on pages served over HTTPS or from localhost
+  const isSupported = () => !!(globalThis.crypto && globalThis.crypto.subtle);
+
+  const subtle = () => globalThis.crypto.subtle;
+
+  // the private key cannot be exported, only used (a public key always can)
+  const generateKeyPair = () => subtle().generateKey(CURVE, false, ['deriveBits']);
+
+  // the public key of `keyPair` as the 65 bytes the server keeps
+  const exportPublicKey = (keyPair) => subtle().exportKey('raw', keyPair.publicKey);
+
+  const toBytes = (data) => data instanceof Uint8Array
+    ? data
+    : ArrayBuffer.isView(data)
+      ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+      : new Uint8Array(data);
+
+  const sameKey = (a, b) => {
+    a = toBytes(a);
+    b = toBytes(b);
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+  };
+
+  // the SHA-256 of a public key in 16 groups of 4 hex digits, for two users
+  // to compare out of band
+  const fingerprint = async (publicKey) => {
+    const hash = new Uint8Array(await subtle().digest('SHA-256', toBytes(publicKey)));
+    const hex = Array.from(hash, (byte) => byte.toString(16).padStart(2, '0')).join('');
+    return hex.match(/.{4}/g).join(' ');
+  };
+
+  // the key of the conversation between the owner of `privateKey` and the
+  // owner of `peerKey` (raw), the same on both ends
+  const deriveKey = async (privateKey, peerKey) => {
+    const publicKey = await subtle().importKey('raw', toBytes(peerKey), CURVE, false, []);
+    const secret = await subtle().deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+    const hkdfKey = await subtle().importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+    return subtle().deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(32), info: HKDF_INFO },
+      hkdfKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  };
+
+  const additionalData = (from, to) => new TextEncoder().encode(`${from}\n${to}`);
+
+  // encrypts `text` from the user `from` to the user `to`; returns the
+  // `encrypted` field of the private message, whose binary fields socket.io
+  // sends as they are
+  // keyPair - our key pair, ownKey - its public key, peerKey - the one of `to`
+  const encrypt = async ({ keyPair, ownKey, peerKey, from, to, text }) => {
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const key = await deriveKey(keyPair.privateKey, peerKey);
+    const ciphertext = await subtle().encrypt(
+      { name: 'AES-GCM', iv, additionalData: additionalData(from, to) },
+      key,
+      new TextEncoder().encode(text)
+    );
+    return { iv, ciphertext, senderKey: ownKey, recipientKey: peerKey };
+  };
+
+  // the key of the other end of an encrypted private message, sent or
+  // received, or null if it was not encrypted with our key
+  const peerKeyOf = (encrypted, ownKey) => {
+    if (sameKey(encrypted.senderKey, ownKey)) return encrypted.recipientKey;
+    if (sameKey(encrypted.recipientKey, ownKey)) return encrypted.senderKey;
+    return null;
+  };
+
+  // decrypts a private message, sent or received; rejects if it was
+  // encrypted for another key pair (of another browser) or was altered
+  const decrypt = async ({ keyPair, ownKey, message }) => {
+    const { iv, ciphertext } = message.encrypted;
+    const peerKey = peerKeyOf(message.encrypted, ownKey);
+    if (!peerKey) throw new Error('encrypted for another key');
+    const key = await deriveKey(keyPair.privateKey, peerKey);
+    const text = await subtle().decrypt(
+      { name: 'AES-GCM', iv: toBytes(iv), additionalData: additionalData(message.from, message.to) },
+      key,
+      toBytes(ciphertext)
+    );
+    return new TextDecoder().decode(text);
+  };
+
+  // runs one request on the store of the key pairs; IndexedDB is the only
+  // place where a private key can be kept without exporting it
+  const withStore = (mode, request) => new Promise((resolve, reject) => {
+    const opening = indexedDB.open(DATABASE, 1);
+    opening.onupgradeneeded = () => opening.result.createObjectStore(STORE);
+    opening.onerror = () => reject(opening.error);
+    opening.onsuccess = () => {
+      const database = opening.result;
+      const pending = request(database.transaction(STORE, mode).objectStore(STORE));
+      pending.onsuccess = () => resolve(pending.result);
+      pending.onerror = () => reject(pending.error);
+      database.close();
+    };
+  });
+
+  // the key pair of `userID` in this browser, created the first time; when
+  // two tabs create one at once, the first one saved is the one kept
+  const loadKeyPair = async (userID) => {
+    const saved = await withStore('readonly', (store) => store.get(userID));
+    if (saved) return saved;
+    const keyPair = await generateKeyPair();
+    try {
+      await withStore('readwrite', (store) => store.add(keyPair, userID));
+      return keyPair;
+    } catch (e) {
+      return withStore('readonly', (store) => store.get(userID));
+    }
+  };
+
+  exports.isSupported = isSupported;
+  exports.generateKeyPair = generateKeyPair;
+  exports.exportPublicKey = exportPublicKey;
+  exports.sameKey = sameKey;
+  exports.fingerprint = fingerprint;
+  exports.encrypt = encrypt;
+  exports.peerKeyOf = peerKeyOf;
+  exports.decrypt = decrypt;
+  exports.loadKeyPair = loadKeyPair;
+})(typeof module === 'object' ? module.exports : (window.e2e = {}));
@@ -0,0 +1,502 @@
+// The texts of the chat in Vietnamese and English. A text is found by its key
+// and may have {name} parameters; a text that depends on a number has a form
+// for each plural category of the language (Intl.PluralRules, given the
+// `count` parameter), and '=N' forms for exact numbers. The server answers
+// with errors as { error, params }, where `error` is a key of `errors`.
+// The page loads it as window.i18n, the tests require() it.
+(function (exports) {
+  const DEFAULT_LANGUAGE = 'vi';
+
+  const CATALOGUES = {
+    vi: {
+      messages: {
+        'page.title': 'MungGo - Phòng chat',
+        'login.title': 'Đăng nhập để trò chuyện',
+        'login.username': 'Tên đăng nhập',
+        'login.password': 'Mật khẩu',
+        'login.submit': 'Đăng nhập',
+        'login.register': 'Tạo tài khoản',
+        'login.failed': 'Không thể đăng nhập',
+        'login.again': 'Hãy đăng nhập lại',
+        'sidebar.rename': 'Đổi tên',
+        'sidebar.search': 'Tìm tin nhắn',
+        'sidebar.logout': 'Đăng xuất',
+        'sidebar.language': 'Ngôn ngữ',
+        'sidebar.online': 'Đang online',
+        'sidebar.rooms': 'Kênh',
+        'sidebar.roomInput': 'Tạo hoặc vào kênh...',
+        'sidebar.conversations': 'Tin nhắn riêng',
+        'input.message': 'Nhập tin nhắn...',
+        'input.room': 'Nhắn vào #{room}...',
+        'input.private': 'Nhắn riêng cho {username}...',
+        'input.attach': 'Gửi ảnh hoặc tệp',
+        'panel.close': 'Đóng',
+        'thread.title': 'Chuỗi trả lời',
+        'thread.input': 'Trả lời trong chuỗi...',
+        'thread.replies': { other: '{count} trả lời' },
+        'thread.openFailed': 'Không thể mở chuỗi trả lời: {error}',
+        'thread.replyFailed': 'Không thể trả lời: {error}',
+        'search.title': 'Tìm tin nhắn',
+        'search.query': 'Từ khoá, có dấu hay không dấu...',
+        'search.author': 'Người gửi',
+        'search.since': 'Từ',
+        'search.until': 'đến',
+        'search.more': 'Xem thêm',
+        'search.allRooms': 'Mọi kênh',
+        'search.inThread': '#{room} (trả lời)',
+        'search.results': { other: '{count} kết quả' },
+        'search.noResults': 'Không có kết quả',
+        'search.failed': 'Không thể tìm: {error}',
+        'status.online': 'đang hoạt động',
+        'status.idle': 'đang rảnh',
+        'status.away': 'vắng mặt',
+        'role.badge.moderator': 'mod',
+        'role.badge.owner': 'chủ',
+        'role.badge.bot': 'bot',
+        'role.member': 'thành viên',
+        'role.moderator': 'điều hành viên',
+        'role.owner': 'chủ phòng',
+        'roster.since': '{status}, vào lúc {time}',
+        'roster.you': '{username} (bạn)',
+        'roster.tabs': { other: '{count} tab' },
+        'participants': { '=1': 'Hiện tại đang có một người kết nối', other: 'Hiện tại đang có {count} người kết nối' },
+        'welcome': 'MungGo xin chào',
+        'typing': 'đang gõ…',
+        'rename.prompt': 'Tên mới của bạn:',
+        'rename.failed': 'Không thể đổi tên: {error}',
+        'message.queued': 'đang chờ gửi',
+        'message.sent': 'đã gửi',
+        'message.delivered': 'đã nhận',
+        'message.read': 'đã xem',
+        'message.readBy': { other: 'đã xem bởi {count}' },
+        'message.failed': 'lỗi: {error}',
+        'message.resend': 'Gửi lại',
+        'message.discard': 'Bỏ tin nhắn',
+        'message.edited': '(đã sửa)',
+        'message.react': 'Bày tỏ cảm xúc',
+        'message.reply': 'Trả lời trong chuỗi',
+        'message.edit': 'Sửa',
+        'message.delete': 'Xoá',
+        'message.older': 'Xem tin nhắn cũ hơn',
+        'e2e.on': 'Tin nhắn được mã hoá đầu cuối, bấm để xem mã khoá',
+        'e2e.off': 'Tin nhắn với {username} không được mã hoá đầu cuối',
+        'e2e.ownFingerprint': 'Mã khoá của bạn: {fingerprint}',
+        'e2e.fingerprint': 'Mã khoá của {username}: {fingerprint}',
+        'e2e.compare': 'Hãy so sánh với {username} qua một kênh khác: nếu khớp, không ai khác đọc được cuộc trò chuyện',
+        'e2e.keyChanged': 'Khoá của {username} đã đổi (thiết bị mới?), hãy so sánh lại mã khoá',
+        'e2e.replaced': 'Bạn đã đăng nhập ở nơi khác với khoá khác: tin nhắn riêng mới chỉ đọc được ở đó',
+        'e2e.locked': 'Đang giải mã…',
+        'e2e.unreadable': 'Không giải mã được tin nhắn này ở đây (nó được mã hoá cho thiết bị khác)',
+        'e2e.unavailable': 'Trình duyệt này không mã hoá được tin nhắn riêng',
+        'e2e.publishFailed': 'Không thể công bố khoá: {error}',
+        'react.failed': 'Không thể bày tỏ cảm xúc: {error}',
+        'edit.prompt': 'Sửa tin nhắn:',
+        'edit.failed': 'Không thể sửa tin nhắn: {error}',
+        'delete.confirm': 'Xoá tin nhắn này?',
+        'delete.failed': 'Không thể xoá tin nhắn: {error}',
+        'file.typeNotAllowed': 'Không gửi được {name}: loại tệp không được hỗ trợ',
+        'file.tooLarge': 'Không gửi được {name}: tệp lớn hơn {size}',
+        'file.notEncrypted': '{name} sẽ không được mã hoá đầu cuối như tin nhắn với {username}: máy chủ đọc được nó. Vẫn gửi?',
+        'file.sending': 'Đang gửi {name}...',
+        'file.failed': 'Không gửi được {name}: {error}',
+        'room.leave': 'Rời kênh',
+        'room.joinFailed': 'Không thể vào kênh {room}: {error}',
+        'room.rejoinFailed': 'Không thể vào lại kênh {room}: {error}',
+        'room.topicChanged': '{username} đổi chủ đề thành: {topic}',
+        'room.slowmodeOn': { other: '{username} bật chế độ chậm: mỗi {count} giây một tin nhắn' },
+        'room.slowmodeOff': '{username} tắt chế độ chậm',
+        'resume.failed': 'Không thể đăng nhập lại: {error}',
+        'user.joined': '{username} đã vào kênh',
+        'user.left': '{username} đã rời kênh',
+        'user.renamed': '{oldUsername} đổi tên thành {username}',
+        'mention.room': '#{room}',
+        'mention.thread': 'một chuỗi trả lời ở #{room}',
+        'mention.notification': '{username} nhắc đến bạn trong {where}',
+        'mention.log': '{username} nhắc đến bạn trong {where}: {message}',
+        'rateLimited': { other: 'Bạn gửi quá nhanh, thử lại sau {count} giây' },
+        'moderate.mute': 'Cấm chat',
+        'moderate.kick': 'Đuổi',
+        'moderate.ban': 'Cấm vào',
+        'moderate.mutePrompt': 'Cấm {username} chat trong bao nhiêu phút?',
+        'moderate.kickPrompt': 'Lý do đuổi {username}?',
+        'moderate.banPrompt': 'Lý do cấm {username}?',
+        'moderate.banIpPrompt': 'Cấm luôn các địa chỉ IP của {username}? Những người dùng chung địa chỉ cũng sẽ bị chặn',
+        'moderate.failed': 'Không thể thực hiện: {error}',
+        'moderation.mute': '{by} đã cấm {username} chat đến {until}{reason}',
+        'moderation.unmute': '{by} đã cho {username} chat trở lại',
+        'moderation.kick': '{by} đã đuổi {username}{reason}',
+        'moderation.ban': '{by} đã cấm {username} vào phòng chat{reason}',
+        'moderation.unban': '{by} đã bỏ cấm {username}',
+        'moderation.role': '{by} đã đổi vai trò của {username} thành {role}',
+        'moderation.other': '{by}: {action} {username}',
+        'connection.reconnected': 'Đã kết nối lại',
+        'connection.disconnected': 'Mất kết nối',
+        'connection.kicked': 'Bạn đã bị mời ra khỏi phòng chat',
+        'connection.banned': 'Bạn đã bị cấm vào phòng chat',
+        'connection.reconnecting': 'Đang kết nối lại…',
+        'connection.attempt': 'Đang kết nối lại… (lần {count})',
+        'connection.attemptFailed': 'Kết nối lại không thành công',
+        'connection.failed': 'Không thể kết nối lại, hãy tải lại trang',
+        // the replies of the slash commands, sent by the server
+        'command.unknown': 'Không có lệnh /{name}, hãy thử /help',
+        'command.failed': 'Lệnh /{name} bị lỗi',
+        'command.help': '{command} - {description}',
+        'command.roomOnly': '/{name} chỉ dùng được trong một kênh',
+        'command.usage': 'Cách dùng: {usage}',
+        'command.moderatorsOnly': 'Chỉ điều hành viên mới dùng được /{name}',
+        'command.nick.done': 'Tên của bạn bây giờ là {username}',
+        'command.nick.failed': 'Không thể đổi tên: {error}',
+        'command.join.failed': 'Không thể vào {room}: {error}',
+        'command.topic.show': 'Chủ đề của #{room}: {topic}',
+        'command.topic.none': '#{room} chưa có chủ đề',
+        'command.moderate.failed': 'Không thể {action} {username}: {error}',
+        'command.export.failed': '{error}; cách dùng: /export [html|txt|jsonl] [từ] [đến]',
+        'command.export.started': 'Đang tải lịch sử của #{room}',
+        'command.description.help': 'liệt kê các lệnh',
+        'command.description.me': 'kể bạn đang làm gì',
+        'command.description.nick': 'đổi tên của bạn',
+        'command.description.join': 'vào một kênh, tạo kênh nếu chưa có',
+        'command.description.topic': 'xem hoặc đặt chủ đề của kênh',
+        'command.description.mute': 'cấm một người gửi tin nhắn',
+        'command.description.unmute': 'cho người bị cấm chat được chat lại',
+        'command.description.kick': 'ngắt kết nối một người',
+        'command.description.ban': 'ngắt kết nối một người và không cho vào lại, kèm địa chỉ IP với --ip',
+        'command.description.unban': 'cho người bị cấm vào lại',
+        'command.description.role': 'đổi vai trò của một người',
+        'command.description.slowmode': 'bắt mọi người chờ giữa hai tin nhắn trong kênh',
+        'command.description.export': 'tải lịch sử của kênh, ví dụ /export txt 2024-05-01 2024-05-31',
+        'command.action.mute': 'cấm chat',
+        'command.action.unmute': 'bỏ cấm chat',
+        'command.action.kick': 'đuổi',
+        'command.action.ban': 'cấm',
+        'command.action.unban': 'bỏ cấm',
+        'command.action.role': 'đổi vai trò của',
+        // the downloaded transcripts of the rooms
+        'transcript.until': 'đến {time}',
+        'transcript.edited': '(đã sửa)',
+        'transcript.count': { other: '{count} tin nhắn' }
+      },
+      errors: {
+        'already logged in': 'đã đăng nhập rồi',
+        'banned': 'bị cấm vào phòng chat',
+        'cannot encrypt': 'không mã hoá được tin nhắn',
+        'cannot leave this room': 'không thể rời kênh này',
+        'command failed': 'lệnh bị lỗi',
+        'could not save the file': 'không lưu được tệp',
+        'empty file': 'tệp trống',
+        'empty message': 'tin nhắn trống',
+        'empty query': 'chưa nhập từ khoá',
+        'encrypted messages cannot be edited': 'không thể sửa tin nhắn đã mã hoá',
+        'file content does not match its type': 'nội dung tệp không đúng với loại tệp',
+        'file too large': 'tệp lớn hơn {max} KB',
+        'file type not allowed': 'loại tệp không được hỗ trợ',
+        'invalid characters in username': 'tên chỉ được có chữ, số, dấu cách, _ . và -',
+        'invalid encrypted message': 'tin nhắn mã hoá không hợp lệ',
+        'invalid password': 'mật khẩu không hợp lệ',
+        'invalid public key': 'khoá công khai không hợp lệ',
+        'invalid reaction': 'cảm xúc không hợp lệ',
+        'invalid room name': 'tên kênh không hợp lệ',
+        'invalid time': 'thời gian không hợp lệ',
+        'invalid username': 'tên không hợp lệ',
+        'message too long': 'tin nhắn chỉ được dài tối đa {max} ký tự',
+        'no answer': 'không có phản hồi',
+        'not allowed': 'không được phép',
+        'not in this room': 'bạn không ở trong kênh này',
+        'not logged in': 'chưa đăng nhập',
+        'password too long': 'mật khẩu chỉ được dài tối đa {max} ký tự',
+        'password too short': 'mật khẩu phải có ít nhất {min} ký tự',
+        'rate limited': 'gửi quá nhanh',
+        'this username is already taken': 'tên này đã có người dùng',
+        'this username is reserved': 'tên này không được dùng',
+        'too many reactions': 'quá nhiều cảm xúc',
+        'try again later': 'hãy thử lại sau',
+        'unknown action': 'thao tác không hợp lệ',
+        'unknown command': 'không có lệnh này',
+        'unknown format': 'định dạng không hợp lệ, hãy dùng {formats}',
+        'unknown message': 'không tìm thấy tin nhắn',
+        'unknown recipient': 'không có người nhận này',
+        'unknown user': 'không có người dùng này',
+        'username too long': 'tên chỉ được dài tối đa {max} ký tự',
+        'username too short': 'tên phải có ít nhất {min} ký tự',
+        'wrong username or password': 'sai tên đăng nhập hoặc mật khẩu',
+        'you are muted': 'bạn đang bị cấm chat'
+      }
+    },
+    en: {
+      messages: {
+        'page.title': 'MungGo - Chat',
+        'login.title': 'Log in to chat',
+        'login.username': 'Username',
+        'login.password': 'Password',
+        'login.submit': 'Log in',
+        'login.register': 'Create an account',
+        'login.failed': 'Could not log in',
+        'login.again': 'Please log in again',
+        'sidebar.rename': 'Rename',
+        'sidebar.search': 'Search messages',
+        'sidebar.logout': 'Log out',
+        'sidebar.language': 'Language',
+        'sidebar.online': 'Online',
+        'sidebar.rooms': 'Rooms',
+        'sidebar.roomInput': 'Create or join a room...',
+        'sidebar.conversations': 'Private messages',
+        'input.message': 'Type here...',
+        'input.room': 'Message #{room}...',
+        'input.private': 'Message {username}...',
+        'input.attach': 'Send a picture or a file',
+        'panel.close': 'Close',
+        'thread.title': 'Thread',
+        'thread.input': 'Reply in the thread...',
+        'thread.replies': { one: '{count} reply', other: '{count} replies' },
+        'thread.openFailed': 'Could not open the thread: {error}',
+        'thread.replyFailed': 'Could not reply: {error}',
+        'search.title': 'Search messages',
+        'search.query': 'Words, with or without accents...',
+        'search.author': 'Sender',
+        'search.since': 'From',
+        'search.until': 'to',
+        'search.more': 'Show more',
+        'search.allRooms': 'All rooms',
+        'search.inThread': '#{room} (reply)',
+        'search.results': { one: '{count} result', other: '{count} results' },
+        'search.noResults': 'No results',
+        'search.failed': 'Could not search: {error}',
+        'status.online': 'active',
+        'status.idle': 'idle',
+        'status.away': 'away',
+        'role.badge.moderator': 'mod',
+        'role.badge.owner': 'owner',
+        'role.badge.bot': 'bot',
+        'role.member': 'member',
+        'role.moderator': 'moderator',
+        'role.owner': 'owner',
+        'roster.since': '{status} since {time}',
+        'roster.you': '{username} (you)',
+        'roster.tabs': { one: '{count} tab', other: '{count} tabs' },
+        'participants': { one: 'There is {count} participant', other: 'There are {count} participants' },
+        'welcome': 'Welcome to MungGo',
+        'typing': 'is typing',
+        'rename.prompt': 'Your new username:',
+        'rename.failed': 'Could not change your username: {error}',
+        'message.queued': 'waiting to be sent',
+        'message.sent': 'sent',
+        'message.delivered': 'delivered',
+        'message.read': 'seen',
+        'message.readBy': { other: 'seen by {count}' },
+        'message.failed': 'error: {error}',
+        'message.resend': 'Send again',
+        'message.discard': 'Discard the message',
+        'message.edited': '(edited)',
+        'message.react': 'React',
+        'message.reply': 'Reply in a thread',
+        'message.edit': 'Edit',
+        'message.delete': 'Delete',
+        'message.older': 'Show older messages',
+        'e2e.on': 'Messages are end-to-end encrypted, click to see the key fingerprints',
+        'e2e.off': 'Messages with {username} are not end-to-end encrypted',
+        'e2e.ownFingerprint': 'Your key fingerprint: {fingerprint}',
+        'e2e.fingerprint': "{username}'s key fingerprint: {fingerprint}",
+        'e2e.compare': 'Compare them with {username} some other way: if they match, nobody else can read this conversation',
+        'e2e.keyChanged': "{username}'s key changed (a new device?), compare the fingerprints again",
+        'e2e.replaced': 'You logged in elsewhere with another key: new private messages can only be read there',
+        'e2e.locked': 'Decrypting…',
+        'e2e.unreadable': 'This message cannot be decrypted here (it was encrypted for another device)',
+        'e2e.unavailable': 'Private messages cannot be encrypted in this browser',
+        'e2e.publishFailed': 'Could not publish the key: {error}',
+        'react.failed': 'Could not react: {error}',
+        'edit.prompt': 'Edit the message:',
+        'edit.failed': 'Could not edit the message: {error}',
+        'delete.confirm': 'Delete this message?',
+        'delete.failed': 'Could not delete the message: {error}',
+        'file.typeNotAllowed': 'Could not send {name}: this type of file is not supported',
+        'file.tooLarge': 'Could not send {name}: the file is larger than {size}',
+        'file.notEncrypted': 'Unlike your messages with {username}, {name} will not be end-to-end encrypted: the server can read it. Send it anyway?',
+        'file.sending': 'Sending {name}...',
+        'file.failed': 'Could not send {name}: {error}',
+        'room.leave': 'Leave the room',
+        'room.joinFailed': 'Could not join {room}: {error}',
+        'room.rejoinFailed': 'Could not join {room} again: {error}',
+        'room.topicChanged': '{username} changed the topic to: {topic}',
+        'room.slowmodeOn': {
+          one: '{username} turned slow mode on: one message per second',
+          other: '{username} turned slow mode on: one message every {count} seconds'
+        },
+        'room.slowmodeOff': '{username} turned slow mode off',
+        'resume.failed': 'Could not log in again: {error}',
+        'user.joined': '{username} joined',
+        'user.left': '{username} left',
+        'user.renamed': '{oldUsername} is now known as {username}',
+        'mention.room': '#{room}',
+        'mention.thread': 'a thread of #{room}',
+        'mention.notification': '{username} mentioned you in {where}',
+        'mention.log': '{username} mentioned you in {where}: {message}',
+        'rateLimited': {
+          one: 'You are sending too fast, try again in {count} second',
+          other: 'You are sending too fast, try again in {count} seconds'
+        },
+        'moderate.mute': 'Mute',
+        'moderate.kick': 'Kick',
+        'moderate.ban': 'Ban',
+        'moderate.mutePrompt': 'Mute {username} for how many minutes?',
+        'moderate.kickPrompt': 'Why kick {username}?',
+        'moderate.banPrompt': 'Why ban {username}?',
+        'moderate.banIpPrompt': 'Also ban the IP addresses of {username}? Everyone sharing them will be kept out too',
+        'moderate.failed': 'Could not do it: {error}',
+        'moderation.mute': '{by} muted {username} until {until}{reason}',
+        'moderation.unmute': '{by} let {username} talk again',
+        'moderation.kick': '{by} kicked {username}{reason}',
+        'moderation.ban': '{by} banned {username}{reason}',
+        'moderation.unban': '{by} unbanned {username}',
+        'moderation.role': '{by} made {username} a {role}',
+        'moderation.other': '{by}: {action} {username}',
+        'connection.reconnected': 'you have been reconnected',
+        'connection.disconnected': 'you have been disconnected',
+        'connection.kicked': 'You have been removed from the chat',
+        'connection.banned': 'You are banned from the chat',
+        'connection.reconnecting': 'Reconnecting…',
+        'connection.attempt': 'Reconnecting… (attempt {count})',
+        'connection.attemptFailed': 'attempt to reconnect has failed',
+        'connection.failed': 'Could not reconnect, please reload the page',
+        'command.unknown': 'unknown command /{name}, try /help',
+        'command.failed': '/{name} failed',
+        'command.help': '{command} - {description}',
+        'command.roomOnly': '/{name} only works in a room',
+        'command.usage': 'usage: {usage}',
+        'command.moderatorsOnly': 'only moderators can use /{name}',
+        'command.nick.done': 'you are now known as {username}',
+        'command.nick.failed': 'cannot change username: {error}',
+        'command.join.failed': 'cannot join {room}: {error}',
+        'command.topic.show': 'topic of #{room}: {topic}',
+        'command.topic.none': '#{room} has no topic',
+        'command.moderate.failed': 'cannot {action} {username}: {error}',
+        'command.export.failed': '{error}; usage: /export [html|txt|jsonl] [from] [to]',
+        'command.export.started': 'downloading the transcript of #{room}',
+        'command.description.help': 'list the commands',
+        'command.description.me': 'describe what you are doing',
+        'command.description.nick': 'change your username',
+        'command.description.join': 'join a room, creating it if needed',
+        'command.description.topic': 'show or set the topic of the room',
+        'command.description.mute': 'stop a user from sending messages',
+        'command.description.unmute': 'let a muted user talk again',
+        'command.description.kick': 'disconnect a user',
+        'command.description.ban': 'disconnect a user and keep them out, with their IP addresses with --ip',
+        'command.description.unban': 'let a banned user back in',
+        'command.description.role': 'change the role of a user',
+        'command.description.slowmode': 'make users wait between two messages in the room',
+        'command.description.export': 'download the history of the room, e.g. /export txt 2024-05-01 2024-05-31',
+        'command.action.mute': 'mute',
+        'command.action.unmute': 'unmute',
+        'command.action.kick': 'kick',
+        'command.action.ban': 'ban',
+        'command.action.unban': 'unban',
+        'command.action.role': 'change the role of',
+        'transcript.until': 'until {time}',
+        'transcript.edited': '(edited)',
+        'transcript.count': { one: '{count} message', other: '{count} messages' }
+      },
+      errors: {
+        'already logged in': 'already logged in',
+        'banned': 'banned from the chat',
+        'cannot encrypt': 'the message could not be encrypted',
+        'cannot leave this room': 'this room cannot be left',
+        'command failed': 'the command failed',
+        'could not save the file': 'the file could not be saved',
+        'empty file': 'the file is empty',
+        'empty message': 'the message is empty',
+        'empty query': 'nothing to search for',
+        'encrypted messages cannot be edited': 'encrypted messages cannot be edited',
+        'file content does not match its type': 'the content of the file does not match its type',
+        'file too large': 'the file is larger than {max} KB',
+        'file type not allowed': 'this type of file is not supported',
+        'invalid characters in username': 'a username may only contain letters, digits, spaces, _ . and -',
+        'invalid encrypted message': 'invalid encrypted message',
+        'invalid password': 'invalid password',
+        'invalid public key': 'invalid public key',
+        'invalid reaction': 'invalid reaction',
+        'invalid room name': 'invalid room name',
+        'invalid time': 'invalid time',
+        'invalid username': 'invalid username',
+        'message too long': 'a message may have at most {max} characters',
+        'no answer': 'no answer',
+        'not allowed': 'not allowed',
+        'not in this room': 'you are not in this room',
+        'not logged in': 'not logged in',
+        'password too long': 'a password may have at most {max} characters',
+        'password too short': 'a password must have at least {min} characters',
+        'rate limited': 'sending too fast',
+        'this username is already taken': 'this username is already taken',
+        'this username is reserved': 'this username is reserved',
+        'too many reactions': 'too many reactions',
+        'try again later': 'try again later',
+        'unknown action': 'unknown action',
+        'unknown command': 'unknown command',
+        'unknown format': 'unknown format, use {formats}',
+        'unknown message': 'unknown message',
+        'unknown recipient': 'unknown recipient',
+        'unknown user': 'unknown user',
+        'username too long': 'a username may have at most {max} characters',
+        'username too short': 'a username must have at least {min} characters',
+        'wrong username or password': 'wrong username or password',
+        'you are muted': 'you are muted'
+      }
+    }
+  };
+
+  const LANGUAGES = Object.keys(CATALOGUES);
+
+  // the language to show: the one the user chose, or else the first of the
+  // browser's languages (like 'en-US') we have, or else Vietnamese
+  const pickLanguage = (chosen, preferred = []) => {
+    if (LANGUAGES.includes(chosen)) return chosen;
+    const found = preferred
+      .map((tag) => String(tag).toLowerCase().split('-')[0])
+      .find((language) => LANGUAGES.includes(language));
+    return found || DEFAULT_LANGUAGE;
+  };
+
+  const catalogueOf = (language) => CATALOGUES[language] || CATALOGUES[DEFAULT_LANGUAGE];
+
+  // the text of an error answered by the server, with its parameters (or its
+  // key when it is not known)
+  const translateError = (language, error, params = {}) => {
+    const errors = catalogueOf(language).errors;
+    if (!Object.prototype.hasOwnProperty.call(errors, error)) return String(error);
+    return errors[error].replace(/\{(\w+)\}/g, (match, name) => {
+      const value = params && params[name];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  };
+
+  const lookUp = (language, key) => {
+    const messages = catalogueOf(language).messages;
+    if (Object.prototype.hasOwnProperty.call(messages, key)) return messages[key];
+    const fallback = CATALOGUES[DEFAULT_LANGUAGE].messages;
+    return Object.prototype.hasOwnProperty.call(fallback, key) ? fallback[key] : undefined;
+  };
+
+  // the text of `key` with its parameters; a parameter may itself be a
+  // message, { key, params }, or an error answer of the server, { error, params }.
+  // An unknown key is shown as it is
+  const translate = (language, key, params = {}) => {
+    let text = lookUp(language, key);
+    if (text === undefined) return key;
+    if (typeof text === 'object') {
+      const count = Number(params.count);
+      text = text[`=${count}`] || text[new Intl.PluralRules(language).select(count)] || text.other;
+    }
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return '';
+      if (typeof value === 'object' && value.key) return translate(language, value.key, value.params);
+      if (typeof value === 'object' && value.error) return translateError(language, value.error, value.params);
+      return String(value);
+    });
+  };
+
+  exports.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+  exports.LANGUAGES = LANGUAGES;
+  exports.CATALOGUES = CATALOGUES;
+  exports.pickLanguage = pickLanguage;
+  exports.translate = translate;
+  exports.translateError = translateError;
+})(typeof module === 'object' ? module.exports : (window.i18n = {}));
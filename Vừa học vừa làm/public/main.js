@@ -1,6 +1,20 @@
 $(function() {
     const FADE_TIME = 150; // ms
+    const DEFAULT_ROOM = 'general';
     const TYPING_TIMER_LENGTH = 1000; // ms
+    const IDLE_TIME = 2 * 60 * 1000; // ms without using the page before we are idle
+    // The presence statuses, the most present first
+    const STATUSES = ['online', 'idle', 'away'];
+    // The files the server accepts
+    const FILE_TYPES = [
+      'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+      'application/pdf', 'application/zip', 'text/plain'
+    ];
+    // The roles, from the least to the most powerful, and those with a badge
+    const ROLES = ['member', 'moderator', 'owner'];
+    const BADGE_ROLES = ['moderator', 'owner'];
+    // The reactions offered by the picker
+    const REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
     const COLORS = [
       '#e21400', '#91580f', '#f8a700', '#f78b00',
       '#58dc00', '#287b00', '#a8f07a', '#4ae8c4',
@@ -10,60 +24,559 @@ $(function() {
     // Initialize variables
     const $window = $(window);
     const $usernameInput = $('.usernameInput'); // Input for username
-    const $messages = $('.messages');           // Messages area
+    const $passwordInput = $('.passwordInput'); // Input for the password
+    const $loginError = $('.loginError');       // Why the username was refused
+    const $myName = $('.myName');               // Our username in the sidebar
+    const $chatArea = $('.chatArea');           // Holds the messages of every room
+    const $roomList = $('.roomList');           // Channel sidebar
+    const $roomInput = $('.roomInput');         // Input for the room to join
+    const $userList = $('.userList');           // Users we can message privately
+    const $onlineList = $('.onlineList');       // Who is online right now
+    const $onlineCount = $('.onlineCount');     // How many of them
     const $inputMessage = $('.inputMessage');   // Input message input box
+    const $fileInput = $('.fileInput');         // Picks a file to share
+    const $commandSuggestions = $('.commandSuggestions'); // Autocompleted commands
+    const $roomHeader = $('.roomHeader');       // Name and topic of the current room
+    const $threadPanel = $('.threadPanel');     // The replies to one message
+    const $threadMessages = $('.threadMessages');
+    const $threadInput = $('.threadInput');     // Input for a reply
+    const $searchPanel = $('.searchPanel');     // Searches the history
+    const $searchQuery = $('.searchQuery');
+    const $searchRoom = $('.searchRoom');
+    const $searchResults = $('.searchResults');
+    const $messageLists = $chatArea.add($threadMessages); // Wherever messages are shown
+    const $connectionBanner = $('.connectionBanner'); // Shown while the connection is lost
   
     const $loginPage = $('.login.page');        // The login page
     const $chatPage = $('.chat.page');          // The chatroom page
+    const $languageSelect = $('.languageSelect'); // On both pages
+
+    // The language of the page: the one chosen in the list, or else the
+    // browser's; the texts are in public/i18n.js
+    let language = i18n.pickLanguage(
+      localStorage.getItem('language'),
+      navigator.languages || [navigator.language]
+    );
+    const t = (key, params) => i18n.translate(language, key, params);
+    // The server answers with errors as { error, params }
+    const translateError = ({ error, params }) => i18n.translateError(language, error, params);
   
-    const socket = io();
+    // The session cookie tells the server who we are, so we only connect
+    // once logged in
+    const socket = io({ autoConnect: false });
   
     // Prompt for setting a username
     let username;
+    let loggingIn = false;
+    let maxFileSize = 0;
+    // The slash commands of the server
+    let commands = [];
     let connected = false;
     let typing = false;
     let lastTypingTime;
     let $currentInput = $usernameInput.focus();
+    // The rooms we have joined by name, the private conversations by
+    // '@' + user id, and the one on screen
+    const rooms = {};
+    let currentRoom;
+    // Our own user id and role, and everybody else by id
+    let userID;
+    let role = 'member';
+    const users = {};
+    // The message whose thread is open in the side panel, and its room
+    let openThreadId = null;
+    let threadRoom;
+    // The filters of the search shown, and the last page of it we have
+    let searchFilters;
+    let searchPage = 0;
+    // Who is online by user id, as the server last told us
+    const roster = {};
+    // How present this tab is, and when we last used it
+    let presenceStatus = 'online';
+    let lastActivity = Date.now();
+    // The server time of the latest message we got, to ask for the ones we
+    // missed while disconnected
+    let lastSeen = 0;
+    // Whether a message of the outbox is on its way to the server
+    let flushing = false;
+    // The rooms of the outbox we are joining again after a reload
+    const rejoining = new Set();
+    // Our key pair for the encrypted private messages and its public key, as
+    // the server keeps it (see e2e.js), and the promise of loading them
+    let keyPair = null;
+    let ownKey = null;
+    let keysLoaded = null;
   
     const addParticipantsMessage = (data) => {
-      let message = '';
-      if (data.numUsers === 1) {
-        message += `Hiện tại đang có một người kết nối`;
-      } else {
-        message += `Hiện tại đang có ${data.numUsers} người kết nối`;
-      }
-      log(message);
+      log(t('participants', { count: data.numUsers }), { room: data.room });
     }
   
-    // Sets the client's username
-    const setUsername = () => {
-      username = cleanInput($usernameInput.val().trim());
-  
-      // If the username is valid
-      if (username) {
+    // Translates the texts of the page, those of index.html having their
+    // key in data-i18n (or data-i18n-placeholder, data-i18n-title), and
+    // draws again what depends on the language
+    const applyLanguage = () => {
+      document.documentElement.lang = language;
+      document.title = t('page.title');
+      $languageSelect.val(language);
+      $('[data-i18n]').each(function () {
+        $(this).text(t($(this).attr('data-i18n')));
+      });
+      $('[data-i18n-placeholder]').each(function () {
+        $(this).attr('placeholder', t($(this).attr('data-i18n-placeholder')));
+      });
+      $('[data-i18n-title]').each(function () {
+        $(this).attr('title', t($(this).attr('data-i18n-title')));
+      });
+      if (currentRoom) {
+        renderRoomHeader();
+        renderRooms();
+        renderRoster();
+      }
+    }
+
+    const showLoginError = (error) => {
+      loggingIn = false;
+      $loginError.text(error).show();
+      $usernameInput.focus();
+    }
+
+    // Logs in, or registers, with the username and the password of the form;
+    // the server answers with the session cookie we then connect with
+    // action - 'login' or 'register'
+    const logIn = (action) => {
+      const name = $usernameInput.val().trim();
+      const password = $passwordInput.val();
+      if (!name || !password || loggingIn) return;
+      loggingIn = true;
+      $.ajax({
+        url: `/${action}`,
+        method: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify({ username: name, password })
+      }).done(() => {
+        $passwordInput.val('');
+        socket.connect();
+      }).fail((xhr) => {
+        let error = t('login.failed');
+        try {
+          error = translateError(JSON.parse(xhr.responseText)) || error;
+        } catch (e) {
+          // not an answer of ours
+        }
+        showLoginError(error);
+      });
+    }
+
+    // Enters the chat as the user of our session, once connected
+    const enterChat = () => {
+      socket.emit('add user', (data) => {
+        if (data.error) {
+          showLoginError(translateError(data));
+          socket.disconnect();
+          return;
+        }
+        loggingIn = false;
+        username = data.username;
+        $myName.text(username);
+        $loginError.hide();
         $loginPage.fadeOut();
         $chatPage.show();
         $loginPage.off('click');
         $currentInput = $inputMessage.focus();
-  
-        // Tell the server your username
-        socket.emit('add user', username);
-      }
+        // Mentions may notify us while the tab is hidden
+        if ('Notification' in window && Notification.permission === 'default') {
+          Notification.requestPermission();
+        }
+      });
+    }
+
+    // Asks the server for a new username
+    const changeUsername = () => {
+      const name = window.prompt(t('rename.prompt'), username);
+      if (!name || !name.trim()) return;
+      socket.emit('change username', name.trim(), (data) => {
+        if (data.error) {
+          log(t('rename.failed', { error: data }));
+        }
+      });
     }
   
     // Sends a chat message
     const sendMessage = () => {
       let message = $inputMessage.val();
-      // Prevent markup from being injected into the message
-      message = cleanInput(message);
+      // The text is sent as typed; markup is escaped when it is shown
       // if there is a non-empty message and a socket connection
       if (message && connected) {
         $inputMessage.val('');
-        addChatMessage({ username, message });
-        // tell server to execute 'new message' and send along one parameter
-        socket.emit('new message', message);
+        $commandSuggestions.hide();
+        const to = rooms[currentRoom].userID;
+        if (isCommand(message)) {
+          sendCommand(message, to ? undefined : currentRoom);
+          return;
+        }
+        if (to) {
+          sendPrivateMessage(to, message);
+          return;
+        }
+        // '//text' is how a message starting with '/' is written
+        const shown = message.indexOf('//') === 0 ? message.slice(1) : message;
+        queueMessage({ event: 'new message', data: { room: currentRoom, message }, view: currentRoom, shown });
+      }
+    }
+
+    const isCommand = (message) => /^\/[a-z]/i.test(message);
+
+    // Lets the server run a slash command; its replies come as 'command reply'
+    const sendCommand = (message, room) => {
+      socket.emit('new message', { room, message }, (result) => {
+        // a command like /me posts a message, which is ours to show
+        if (result.message) {
+          const $message = addChatMessage(result.message);
+          setMessageStatus($message, t('message.sent'));
+        }
+        // /export gives the address of a file to download, with times
+        // written in our time zone and texts in our language
+        if (result.download) {
+          const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+          const $link = $('<a/>')
+            .attr('href', `${result.download}&tz=${encodeURIComponent(timeZone)}&lang=${language}`)
+            .attr('download', '')
+            .appendTo('body');
+          $link[0].click();
+          $link.remove();
+        }
+      });
+    }
+
+    // Lists the commands starting with what was typed, under the input
+    const suggestCommands = () => {
+      const match = /^\/(\w*)$/.exec($inputMessage.val());
+      const matching = match ? commands.filter(({ name }) => name.indexOf(match[1].toLowerCase()) === 0) : [];
+      $commandSuggestions.empty().toggle(matching.length > 0);
+      matching.forEach(({ name, usage }) => {
+        $('<li class="commandSuggestion"/>')
+          .data('name', name)
+          .append(
+            $('<span class="commandName"/>').text(`/${name} ${usage}`),
+            $('<span class="commandDescription"/>').text(t(`command.description.${name}`))
+          )
+          .appendTo($commandSuggestions);
+      });
+    }
+
+    const completeCommand = (name) => {
+      $inputMessage.val(`/${name} `).focus();
+      $commandSuggestions.hide();
+    }
+
+    // Sends a message to a single user, encrypted if they have a key, and
+    // shows whether it reached them
+    const sendPrivateMessage = (to, message) => {
+      queueMessage({
+        event: 'private message',
+        data: { to, message },
+        view: '@' + to,
+        shown: message,
+        encrypt: e2e.isSupported() && !!users[to].publicKey
+      });
+    }
+
+    // The outbox keeps the messages we write, in localStorage, until the
+    // server has them: they are not lost with the connection, nor with the
+    // page, and go out in the order they were written once we are connected.
+    // An entry is { clientId, event, data, view, shown, encrypt, failed },
+    // where the server knows a message sent twice by its clientId and `failed`
+    // is why the message did not get there, { error, params }
+    const OUTBOX_ACK_TIMEOUT = 10000;
+    const OUTBOX_RETRIES = 3;
+    // The outbox has a socket of its own, on the same connection, for
+    // socket.io's `retries`: they hold back every emit of their socket behind
+    // an unanswered one, and typing must not wait for a message. It is only
+    // connected while we are logged in
+    const outboxSocket = socket.io.socket('/outbox', {
+      retries: OUTBOX_RETRIES,
+      ackTimeout: OUTBOX_ACK_TIMEOUT
+    });
+
+    const readOutbox = () => {
+      try {
+        return JSON.parse(localStorage.getItem(`outbox:${userID}`)) || [];
+      } catch (e) {
+        return [];
+      }
+    }
+
+    // Other tabs of ours share the outbox, so it is read again for each change
+    // change - Gets the entries and returns them changed
+    const updateOutbox = (change) => {
+      localStorage.setItem(`outbox:${userID}`, JSON.stringify(change(readOutbox())));
+    }
+
+    const newClientId = () => {
+      // randomUUID only exists on pages served over HTTPS or from localhost
+      if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+      return Date.now().toString(36) + Math.random().toString(36).slice(2);
+    }
+
+    const getOutboxElement = (clientId) => {
+      return $messageLists.find(`.message[data-client-id="${clientId}"]`);
+    }
+
+    // Shows that a message waits for the server, or why it did not get there
+    // with the buttons to send it again or to give up on it
+    const setOutboxStatus = ($message, entry) => {
+      $message.toggleClass('pending', !entry.failed).toggleClass('failed', !!entry.failed);
+      if (!entry.failed) {
+        setMessageStatus($message, t('message.queued'));
+        return;
+      }
+      // the outboxes saved before the errors had parameters keep only their key
+      const failure = typeof entry.failed === 'string' ? { error: entry.failed } : entry.failed;
+      setMessageStatus($message, t('message.failed', { error: failure }));
+      $message.children('.messageStatus').append(
+        $('<button class="resendButton">↻</button>').attr('title', t('message.resend')),
+        $('<button class="discardButton">×</button>').attr('title', t('message.discard'))
+      );
+    }
+
+    // An entry whose view is gone is shown in the current one, where it can
+    // at least be discarded
+    const showOutboxEntry = (entry) => {
+      const view = rooms[entry.view] ? entry.view : currentRoom;
+      const $message = addChatMessage({ room: view, username, message: entry.shown });
+      $message.attr('data-client-id', entry.clientId).toggleClass('encrypted', !!entry.encrypt);
+      setOutboxStatus($message, entry);
+    }
+
+    // Puts a message we wrote in the outbox and sends it when it can
+    const queueMessage = (fields) => {
+      const entry = { clientId: newClientId(), failed: null, ...fields };
+      updateOutbox((entries) => entries.concat(entry));
+      showOutboxEntry(entry);
+      flushOutbox();
+    }
+
+    // Shows what is left in the outbox after a reload, in the views it was
+    // written in; the rooms other than the default one are joined again first
+    const showOutbox = () => {
+      readOutbox().forEach((entry) => {
+        const to = entry.data.to;
+        if (to && users[to]) {
+          openConversation(users[to]);
+        }
+        if (!to && !rooms[entry.view]) {
+          rejoinRoom(entry.view);
+        } else if (!getOutboxElement(entry.clientId).length) {
+          showOutboxEntry(entry);
+        }
+      });
+    }
+
+    // Joins again a room we wrote to before the reload, without switching to
+    // it, and shows what we wrote there; if we cannot, those messages fail
+    const rejoinRoom = (room) => {
+      if (rejoining.has(room)) return;
+      rejoining.add(room);
+      socket.emit('join room', room, (data) => {
+        rejoining.delete(room);
+        if (!data.error && !rooms[room]) {
+          createView(room, data.history || [], data.hasMoreHistory).topic = data.topic;
+          renderRooms();
+        }
+        readOutbox().filter((entry) => entry.view === room).forEach((entry) => {
+          if (data.error) {
+            outboxFailed(entry, data);
+          } else if (!getOutboxElement(entry.clientId).length) {
+            showOutboxEntry(entry);
+          }
+        });
+        flushOutbox();
+      });
+    }
+
+    // The server has the message: it leaves the outbox and gets its id
+    const outboxSent = (entry, result) => {
+      updateOutbox((entries) => entries.filter(({ clientId }) => clientId !== entry.clientId));
+      const $message = getOutboxElement(entry.clientId).removeClass('pending failed');
+      const id = entry.event === 'new message' ? result.id : result.message.id;
+      // a message sent before a reload may have come back with the history
+      if (getMessageElement(id).length) {
+        $message.remove();
+        return;
+      }
+      if (entry.event === 'new message') {
+        setMessageId($message, id, true, true);
+        setMessageStatus($message, t('message.sent'));
+      } else {
+        setMessageId($message, id);
+        if (entry.encrypt) {
+          $message.find('.editMessage').remove();
+        }
+        setMessageStatus($message, t(result.delivered ? 'message.delivered' : 'message.sent'));
+      }
+    }
+
+    // failure - the answer of the server, { error, params }
+    const outboxFailed = (entry, failure) => {
+      entry.failed = { error: failure.error, params: failure.params };
+      updateOutbox((entries) => entries.map((other) => other.clientId === entry.clientId ? entry : other));
+      const $message = getOutboxElement(entry.clientId);
+      if ($message.length) {
+        setOutboxStatus($message, entry);
+      } else {
+        showOutboxEntry(entry);
       }
     }
+
+    // Sends the first message of the outbox that did not fail, waiting for
+    // the answer of the server before the next one
+    const flushOutbox = () => {
+      const entry = readOutbox().find(({ failed }) => !failed);
+      if (!entry || flushing || !connected || !socket.connected || rejoining.has(entry.view)) return;
+      flushing = true;
+      prepareEntry(entry).then((data) => {
+        sendEntry(entry, { ...data, clientId: entry.clientId });
+      }, () => {
+        flushing = false;
+        outboxFailed(entry, { error: 'cannot encrypt' });
+        flushOutbox();
+      });
+    }
+
+    // The text of a private message is only encrypted as it leaves, with the
+    // key the recipient has then: the outbox stays on this device
+    const prepareEntry = (entry) => {
+      if (!entry.encrypt) return Promise.resolve(entry.data);
+      const { to, message } = entry.data;
+      return (keysLoaded || Promise.resolve()).then(() => {
+        const peerKey = users[to] && users[to].publicKey;
+        if (!keyPair || !peerKey) throw new Error('cannot encrypt');
+        return e2e.encrypt({ keyPair, ownKey, peerKey, from: userID, to, text: message });
+      }).then((encrypted) => ({ to, encrypted }));
+    }
+
+    // Without an answer in time, or when the connection is lost, the socket
+    // sends the message again by itself; we only hear of it once every try
+    // went unanswered
+    const sendEntry = (entry, data) => {
+      outboxSocket.emit(entry.event, data, (err, result) => {
+        flushing = false;
+        if (err) {
+          outboxFailed(entry, { error: 'no answer' });
+        } else if (result.error === 'rate limited') {
+          setTimeout(flushOutbox, result.retryAfter);
+          return;
+        } else if (result.error) {
+          outboxFailed(entry, result);
+        } else {
+          outboxSent(entry, result);
+        }
+        flushOutbox();
+      });
+    }
+
+    // Sends a file to the current room or conversation as a binary attachment
+    const sendFile = (file) => {
+      if (!connected) return;
+      if (FILE_TYPES.indexOf(file.type) === -1) {
+        log(t('file.typeNotAllowed', { name: file.name }));
+        return;
+      }
+      if (file.size > maxFileSize) {
+        log(t('file.tooLarge', { name: file.name, size: formatSize(maxFileSize) }));
+        return;
+      }
+      const view = currentRoom;
+      const to = rooms[view].userID;
+      // the files are not encrypted end to end, even when the texts are
+      if (to && e2e.isSupported() && users[to].publicKey &&
+          !window.confirm(t('file.notEncrypted', { name: file.name, username: users[to].username }))) {
+        return;
+      }
+      const $pending = $('<li class="log"/>').text(t('file.sending', { name: file.name }));
+      addMessageElement($pending, { room: view });
+      file.arrayBuffer().then((data) => {
+        // an ArrayBuffer is sent as binary, without base64 encoding
+        socket.emit('send file', {
+          room: to ? undefined : view,
+          to,
+          name: file.name,
+          type: file.type,
+          data
+        }, (result) => {
+          $pending.remove();
+          if (result.error) {
+            log(t('file.failed', { name: file.name, error: result }), { room: view });
+            return;
+          }
+          const $message = addChatMessage(result.message);
+          if (to) {
+            setMessageStatus($message, t(result.delivered ? 'message.delivered' : 'message.sent'));
+          } else {
+            setMessageStatus($message, t('message.sent'));
+          }
+        });
+      });
+    }
+
+    const formatSize = (size) => {
+      if (size < 1024) return `${size} B`;
+      if (size < 1024 * 1024) return `${Math.round(size / 1024)} KB`;
+      return `${(size / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    // Builds the preview of an image, or the download link of another file
+    const buildAttachment = (attachment) => {
+      const $link = $('<a class="attachment" target="_blank"/>')
+        .attr('href', attachment.url)
+        .attr('download', attachment.name);
+      if (attachment.type.indexOf('image/') === 0) {
+        return $link.append(
+          $('<img class="attachmentPreview"/>')
+            .attr('src', attachment.url)
+            .attr('alt', attachment.name)
+        );
+      }
+      return $link
+        .addClass('attachmentFile')
+        .text(`${attachment.name} (${formatSize(attachment.size)})`);
+    }
+
+    // Shows under one of our messages how far it got
+    const setMessageStatus = ($message, status) => {
+      let $status = $message.children('.messageStatus');
+      if (!$status.length) {
+        $status = $('<span class="messageStatus"/>').appendTo($message);
+      }
+      $status.text(status);
+    }
+
+    // Turns the counts of a 'receipt' event into a status
+    const receiptStatus = (receipt, isPrivate) => {
+      if (receipt.read > 0) {
+        return isPrivate ? t('message.read') : t('message.readBy', { count: receipt.read });
+      }
+      return t(receipt.delivered > 0 ? 'message.delivered' : 'message.sent');
+    }
+
+    // Remembers a message someone sent us, to tell the server once we saw it
+    const queueRead = (data) => {
+      if (data.id && data.from !== userID) {
+        rooms[viewOf(data)].unreadIds.push(data.id);
+        markRead();
+      }
+    }
+
+    // Tells the server which messages of the current view we have seen,
+    // which only happens while our window has focus
+    const markRead = () => {
+      const view = rooms[currentRoom];
+      if (!view || !view.unreadIds.length || document.hidden || !document.hasFocus()) {
+        return;
+      }
+      socket.emit('read', { ids: view.unreadIds });
+      view.unreadIds = [];
+    }
   
     // Log a message
     const log = (message, options) => {
@@ -71,34 +584,719 @@ $(function() {
       addMessageElement($el, options);
     }
   
-    // Adds the visual chat message to the message list
-    const addChatMessage = (data, options = {}) => {
-      // Don't fade the message in if there is an 'X was typing'
-      const $typingMessages = getTypingMessages(data);
-      if ($typingMessages.length !== 0) {
-        options.fade = false;
-        $typingMessages.remove();
-      }
-  
+    // Fills the body of a message with its text, formatted by markdown.js,
+    // where the '@username' of the users we know stand out, and ours even more
+    const setMessageText = ($body, text) => {
+      const usernames = Object.values(roster).map((user) => user.username).concat(username || []);
+      $body
+        .data('text', text || '')
+        .html(markdown.renderMessage(text, { usernames, me: username }));
+      $body.closest('.message').toggleClass('mentionsMe', $body.find('.mention.me').length > 0);
+    }
+
+    // Shows a browser notification, if we were allowed to
+    const notify = (title, body, onclick) => {
+      if (!('Notification' in window) || Notification.permission !== 'granted') return;
+      const notification = new Notification(title, { body });
+      notification.onclick = () => {
+        window.focus();
+        onclick();
+        notification.close();
+      };
+    }
+
+    // Builds the element of a chat message
+    const buildChatMessage = (data) => {
       const $usernameDiv = $('<span class="username"/>')
         .text(data.username)
         .css('color', getUsernameColor(data.username));
-      const $messageBodyDiv = $('<span class="messageBody">')
-        .text(data.message);
+      const $messageBodyDiv = $('<span class="messageBody">');
+      setMessageText($messageBodyDiv, data.message);
   
       const typingClass = data.typing ? 'typing' : '';
       const $messageDiv = $('<li class="message"/>')
         .data('username', data.username)
         .addClass(typingClass)
+        .toggleClass('mentionsMe', $messageBodyDiv.find('.mention.me').length > 0)
         .append($usernameDiv, $messageBodyDiv);
+      // '/me' messages read like '* alice waves'
+      if (data.action) {
+        $messageDiv.addClass('action');
+        $usernameDiv.text(`* ${data.username}`);
+      }
+      if (data.bot) {
+        $usernameDiv.append($('<span class="botBadge"/>').text(t('role.badge.bot')));
+      }
+      // the text of an encrypted message comes once decrypted
+      if (data.encrypted) {
+        $messageDiv.addClass('encrypted locked').data('encrypted', data);
+        $messageBodyDiv.text(t('e2e.locked'));
+        decryptMessage($messageDiv);
+      }
+      if (data.timestamp) {
+        $messageDiv.attr('title', new Date(data.timestamp).toLocaleString(language));
+      }
+      if (data.attachment) {
+        $messageBodyDiv.after(buildAttachment(data.attachment));
+      }
+      if (data.editedAt) {
+        $messageBodyDiv.after(editedMark());
+      }
+      if (data.id) {
+        // only the messages of a room's stream start threads
+        setMessageId($messageDiv, data.id, data.from === userID, !!data.room && !data.parentId);
+        // the server cannot change an encrypted message, only delete it
+        if (data.encrypted) {
+          $messageDiv.find('.editMessage').remove();
+        }
+        renderReactions($messageDiv, data.reactions);
+      }
+      if (data.replyCount) {
+        setReplyCount($messageDiv, data.replyCount);
+      }
+      return $messageDiv;
+    }
+
+    // Shows the text of an encrypted private message, or that it cannot be
+    // read here; without our keys yet, it waits for setUpEncryption()
+    const decryptMessage = ($message) => {
+      if (!keyPair) return;
+      const $body = $message.children('.messageBody');
+      e2e.decrypt({ keyPair, ownKey, message: $message.data('encrypted') }).then((text) => {
+        setMessageText($body, text);
+      }, () => {
+        $body.text(t('e2e.unreadable'));
+      }).then(() => {
+        $message.removeClass('locked');
+      });
+    }
+
+    // Loads our key pair (created the first time) and puts its public key in
+    // the directory of the server, where it may have been replaced by the one
+    // of another device; then the messages waiting for it are decrypted
+    const setUpEncryption = () => {
+      if (!e2e.isSupported()) return;
+      if (!keysLoaded) {
+        keysLoaded = e2e.loadKeyPair(userID).then((loaded) => {
+          return e2e.exportPublicKey(loaded).then((key) => {
+            keyPair = loaded;
+            ownKey = key;
+          });
+        }).catch(() => {
+          log(t('e2e.unavailable'));
+        });
+      }
+      keysLoaded.then(() => {
+        if (!keyPair) return;
+        // an ArrayBuffer is sent as binary, like the ciphertexts
+        socket.emit('publish key', ownKey, (result) => {
+          if (result.error) {
+            log(t('e2e.publishFailed', { error: result }));
+          }
+        });
+        $messageLists.find('.message.locked').each(function () {
+          decryptMessage($(this));
+        });
+        if (currentRoom) {
+          renderRoomHeader();
+        }
+      });
+    }
+
+    const canEncrypt = (to) => !!(keyPair && users[to] && users[to].publicKey);
+
+    // Shows the fingerprints of our key and of the other user's in the
+    // conversation, to compare with theirs
+    const showFingerprints = (to) => {
+      const view = '@' + to;
+      const other = users[to].username;
+      if (!canEncrypt(to)) {
+        log(t('e2e.off', { username: other }), { room: view });
+        return;
+      }
+      Promise.all([e2e.fingerprint(ownKey), e2e.fingerprint(users[to].publicKey)]).then(([own, theirs]) => {
+        log(t('e2e.ownFingerprint', { fingerprint: own }), { room: view });
+        log(t('e2e.fingerprint', { username: other, fingerprint: theirs }), { room: view });
+        log(t('e2e.compare', { username: other }), { room: view });
+      });
+    }
+
+    const editedMark = () => $('<span class="messageEdited"/>').text(t('message.edited'));
+
+    // Gives a message the id assigned by the server, the button to react to
+    // it, the one to reply in a thread if it may start one, and the buttons to
+    // edit or delete it if it is one of ours
+    const setMessageId = ($messageDiv, id, own = true, repliable = false) => {
+      $messageDiv.attr('data-id', id);
+      const $actions = $('<span class="messageActions"/>').append(
+        $('<button class="reactButton">☺</button>').attr('title', t('message.react'))
+      );
+      if (repliable) {
+        $actions.append($('<button class="replyButton">↩</button>').attr('title', t('message.reply')));
+      }
+      if (own) {
+        $actions.append(
+          $('<button class="editMessage">✎</button>').attr('title', t('message.edit')),
+          $('<button class="deleteMessage">×</button>').attr('title', t('message.delete'))
+        );
+      }
+      $messageDiv.append($actions);
+    }
+
+    // Draws the reaction chips under a message
+    // reactions - { emoji: [user ids] }, as saved with the message
+    const renderReactions = ($messageDiv, reactions = {}) => {
+      Object.keys(reactions).forEach((emoji) => {
+        setReaction($messageDiv, emoji, reactions[emoji].length, reactions[emoji].includes(userID));
+      });
+    }
+
+    const getReactionChip = ($messageDiv, emoji) => {
+      return $messageDiv.find('.reaction').filter(function () {
+        return $(this).data('emoji') === emoji;
+      });
+    }
+
+    // Shows how many users reacted to a message with `emoji`
+    // mine - If we are one of them
+    const setReaction = ($messageDiv, emoji, count, mine) => {
+      let $reactions = $messageDiv.children('.reactions');
+      if (!$reactions.length) {
+        $reactions = $('<span class="reactions"/>').appendTo($messageDiv);
+      }
+      let $chip = getReactionChip($messageDiv, emoji);
+      if (!count) {
+        $chip.remove();
+        return;
+      }
+      if (!$chip.length) {
+        $chip = $('<button class="reaction"/>').data('emoji', emoji).appendTo($reactions);
+      }
+      $chip.text(`${emoji} ${count}`).toggleClass('mine', mine);
+    }
+
+    // Adds our reaction to a message, or takes it back if it is already there
+    const toggleReaction = (id, emoji) => {
+      const mine = getReactionChip(getMessageElement(id), emoji).hasClass('mine');
+      socket.emit(mine ? 'unreact' : 'react', { id, emoji }, (data) => {
+        if (data.error) {
+          log(t('react.failed', { error: data }));
+        }
+      });
+    }
+
+    // Opens the reactions to pick from under a message
+    const showReactionPicker = ($messageDiv) => {
+      $('.reactionPicker').remove();
+      $('<span class="reactionPicker"/>')
+        .append(REACTIONS.map((emoji) => $('<button/>').text(emoji).data('emoji', emoji)))
+        .appendTo($messageDiv);
+    }
+
+    // Finds the elements of the message with an id, in the rooms and the thread
+    const getMessageElement = (id) => {
+      return $messageLists.find(`.message[data-id="${id}"]`);
+    }
+
+    // Shows under a message how many replies its thread has
+    const setReplyCount = ($messageDiv, count) => {
+      let $replies = $messageDiv.children('.replyCount');
+      if (!count) {
+        $replies.remove();
+        return;
+      }
+      if (!$replies.length) {
+        $replies = $('<button class="replyCount"/>').appendTo($messageDiv);
+      }
+      $replies.text(t('thread.replies', { count }));
+    }
+
+    // Opens the side panel with a message and all the replies in its thread
+    const openThread = (id) => {
+      socket.emit('load thread', { id }, (data) => {
+        if (data.error) {
+          log(t('thread.openFailed', { error: data }));
+          return;
+        }
+        openThreadId = id;
+        threadRoom = data.parent.room;
+        $threadMessages.empty().append(
+          buildChatMessage(data.parent).addClass('threadParent'),
+          data.replies.map(buildChatMessage)
+        );
+        $searchPanel.hide();
+        $threadPanel.css('display', 'flex');
+        $threadMessages[0].scrollTop = $threadMessages[0].scrollHeight;
+        getMessageElement(id).children('.replyCount').removeClass('unread');
+        $currentInput = $threadInput.focus();
+      });
+    }
+
+    const closeThread = () => {
+      openThreadId = null;
+      $threadPanel.hide();
+      $currentInput = $inputMessage.focus();
+    }
+
+    // Adds a reply to the open thread, unless it is shown already
+    const addThreadReply = (data) => {
+      if (data.parentId !== openThreadId || $threadMessages.find(`.message[data-id="${data.id}"]`).length) return;
+      $threadMessages.append(buildChatMessage(data));
+      $threadMessages[0].scrollTop = $threadMessages[0].scrollHeight;
+    }
+
+    // Sends a reply in the open thread
+    const sendReply = () => {
+      const message = $threadInput.val();
+      if (!message || !connected || !openThreadId) return;
+      $threadInput.val('');
+      const parentId = openThreadId;
+      const room = threadRoom;
+      socket.emit('new message', { room, message, parentId }, (data) => {
+        if (data.error) {
+          log(t('thread.replyFailed', { error: data }), { room });
+          return;
+        }
+        addThreadReply({ id: data.id, timestamp: data.timestamp, room, parentId, from: userID, username, message });
+      });
+    }
+
+    // Opens the search panel, in place of the thread, to search the rooms we
+    // are in (or the current one) and our private conversations
+    const openSearch = () => {
+      closeThread();
+      const joined = Object.keys(rooms).filter((room) => !rooms[room].userID);
+      $searchRoom.empty().append(
+        $('<option value=""/>').text(t('search.allRooms')),
+        joined.map((room) => $('<option/>').val(room).text(`#${room}`))
+      );
+      if (!rooms[currentRoom].userID) {
+        $searchRoom.val(currentRoom);
+      }
+      $searchPanel.css('display', 'flex');
+      $currentInput = $searchQuery.focus();
+    }
+
+    const closeSearch = () => {
+      $searchPanel.hide();
+      $currentInput = $inputMessage.focus();
+    }
+
+    // The start (or the end) of the day picked in a date input, as a timestamp
+    const dayOf = ($input, end) => {
+      if (!$input.val()) return undefined;
+      return new Date(`${$input.val()}T${end ? '23:59:59.999' : '00:00:00'}`).getTime();
+    }
+
+    // Asks the server for a page of results; page 0 starts a new search
+    const search = (page) => {
+      if (page === 0) {
+        searchFilters = {
+          query: $searchQuery.val().trim(),
+          room: $searchRoom.val() || undefined,
+          author: $('.searchAuthor').val().trim() || undefined,
+          since: dayOf($('.searchSince')),
+          until: dayOf($('.searchUntil'), true)
+        };
+        $searchResults.empty();
+        $('.searchMore').hide();
+      }
+      if (!searchFilters.query || !connected) return;
+      socket.emit('search', { ...searchFilters, page }, (data) => {
+        if (data.error) {
+          $('.searchSummary').text(t('search.failed', { error: data }));
+          return;
+        }
+        searchPage = data.page;
+        $('.searchSummary').text(data.total ? t('search.results', { count: data.total }) : t('search.noResults'));
+        $searchResults.append(data.results.map(buildSearchResult));
+        $('.searchMore').toggle(data.hasMore);
+      });
+    }
+
+    // Writes the text around what was found, with the matching words in <mark>
+    const renderSnippet = ($snippet, snippet, highlights) => {
+      let start = 0;
+      highlights.forEach(([from, to]) => {
+        $snippet.append(
+          document.createTextNode(snippet.slice(start, from)),
+          $('<mark/>').text(snippet.slice(from, to))
+        );
+        start = to;
+      });
+      return $snippet.append(document.createTextNode(snippet.slice(start)));
+    }
+
+    const buildSearchResult = (result) => {
+      const other = result.from === userID ? result.to : result.from;
+      const where = result.room
+        ? (result.parentId ? t('search.inThread', { room: result.room }) : `#${result.room}`)
+        : `@${users[other] ? users[other].username : '?'}`;
+      return $('<li class="searchResult"/>')
+        .data('result', result)
+        .append(
+          $('<div class="searchMeta"/>').text(
+            `${where} · ${result.username} · ${new Date(result.timestamp).toLocaleString(language)}`
+          ),
+          renderSnippet($('<div class="searchSnippet"/>'), result.snippet, result.highlights)
+        );
+    }
+
+    // Shows a message that was found where it was sent: its thread, or its
+    // room or conversation, if it is still loaded there
+    const showSearchResult = (result) => {
+      closeSearch();
+      if (result.parentId) {
+        openThread(result.parentId);
+        return;
+      }
+      const other = result.from === userID ? result.to : result.from;
+      if (!result.room && users[other]) {
+        openConversation(users[other]);
+      }
+      const view = viewOf(result);
+      if (!rooms[view]) return;
+      switchRoom(view);
+      const $message = rooms[view].$messages.find(`.message[data-id="${result.id}"]`);
+      if ($message.length) {
+        $message[0].scrollIntoView({ block: 'center' });
+        $message.addClass('found');
+        setTimeout(() => $message.removeClass('found'), 2000);
+      }
+    }
+
+    // Asks the server to replace the text of one of our messages
+    const editMessage = (id) => {
+      const $body = getMessageElement(id).find('.messageBody');
+      const text = $body.data('text');
+      const message = window.prompt(t('edit.prompt'), text);
+      if (!message || message === text) return;
+      socket.emit('edit message', { id, message }, (data) => {
+        if (data.error) {
+          log(t('edit.failed', { error: data }));
+        }
+      });
+    }
+
+    const deleteMessage = (id) => {
+      if (!window.confirm(t('delete.confirm'))) return;
+      socket.emit('delete message', { id }, (data) => {
+        if (data.error) {
+          log(t('delete.failed', { error: data }));
+        }
+      });
+    }
+
+    // Adds the visual chat message to the message list
+    const addChatMessage = (data, options = {}) => {
+      // Don't fade the message in if there is an 'X was typing'
+      const $typingMessages = getTypingMessages(data);
+      if ($typingMessages.length !== 0) {
+        options.fade = false;
+        $typingMessages.remove();
+      }
   
+      options.room = viewOf(data);
+      lastSeen = Math.max(lastSeen, data.timestamp || 0);
+      const $messageDiv = buildChatMessage(data);
       addMessageElement($messageDiv, options);
+      return $messageDiv;
+    }
+
+    // The key of the view a message is shown in: its room, or the other user
+    const viewOf = (data) => {
+      if (data.room || !data.from) return data.room;
+      return '@' + (data.from === userID ? data.to : data.from);
     }
   
+    // Renders a page of past messages above everything already shown in a room
+    // messages - The messages, oldest first
+    // hasMore - If there are even older messages on the server
+    const addHistory = (room, messages, hasMore) => {
+      const view = rooms[room];
+      view.$loadOlder.detach();
+      view.$messages.prepend(messages.map(buildChatMessage));
+      if (messages.length) {
+        view.oldestMessageId = messages[0].id;
+        lastSeen = Math.max(lastSeen, messages[messages.length - 1].timestamp);
+      }
+      if (hasMore) {
+        view.$messages.prepend(view.$loadOlder);
+      }
+    }
+
+    // Asks the server for the page of messages before the oldest one shown
+    const loadOlderMessages = (room) => {
+      const view = rooms[room];
+      const $button = view.$loadOlder.find('button').prop('disabled', true);
+      socket.emit('load history', { room, before: view.oldestMessageId }, ({ messages, hasMore }) => {
+        $button.prop('disabled', false);
+        addHistory(room, messages, hasMore);
+      });
+    }
+
+    // Creates the (hidden) message list of a room or a private conversation
+    const createView = (key, history, hasMore) => {
+      const $loadOlder = $('<li class="loadOlder"/>').append($('<button/>').text(t('message.older')));
+      $loadOlder.on('click', 'button', () => {
+        loadOlderMessages(key);
+      });
+      rooms[key] = {
+        $messages: $('<ul class="messages"/>').attr('data-view', key).hide().appendTo($chatArea),
+        $loadOlder,
+        unread: 0,
+        unreadIds: []
+      };
+      addHistory(key, history, hasMore);
+      return rooms[key];
+    }
+
+    // Creates the message list of a room we have just joined
+    // data - The server's answer to 'join room' (or the 'login' event)
+    const openRoom = (data) => {
+      const room = data.room;
+      if (!rooms[room]) {
+        createView(room, data.history || [], data.hasMoreHistory).topic = data.topic;
+        addParticipantsMessage(data);
+      }
+      switchRoom(room);
+    }
+
+    // Creates the view of the conversation with another user
+    const openConversation = (user) => {
+      const key = '@' + user.userID;
+      if (!rooms[key]) {
+        createView(key, user.messages || [], false).userID = user.userID;
+      }
+      return key;
+    }
+
+    // Shows the messages of another room we are in
+    const switchRoom = (room) => {
+      if (room === currentRoom) return;
+      if (typing) {
+        socket.emit('stop typing', { room: currentRoom });
+        typing = false;
+      }
+      currentRoom = room;
+      rooms[room].unread = 0;
+      $chatArea.children('.messages').hide();
+      rooms[room].$messages.show();
+      $chatArea[0].scrollTop = $chatArea[0].scrollHeight;
+      renderRoomHeader();
+      renderRooms();
+      markRead();
+    }
+
+    // Shows the name and the topic of the current room above the messages
+    const renderRoomHeader = () => {
+      const view = rooms[currentRoom];
+      $roomHeader.empty().append(
+        $('<span class="roomHeaderName"/>').text(view.userID ? users[view.userID].username : `#${currentRoom}`),
+        $('<span class="roomHeaderTopic"/>').text(view.topic || '')
+      );
+      // a conversation tells whether it is encrypted, and shows the key
+      // fingerprints when asked
+      if (view.userID) {
+        const encrypted = canEncrypt(view.userID);
+        $('<button class="encryptionButton"/>')
+          .text(encrypted ? '🔒' : '🔓')
+          .toggleClass('on', encrypted)
+          .attr('title', encrypted ? t('e2e.on') : t('e2e.off', { username: users[view.userID].username }))
+          .prependTo($roomHeader);
+      }
+      $inputMessage.attr('placeholder', view.userID
+        ? t('input.private', { username: users[view.userID].username })
+        : t('input.room', { room: currentRoom }));
+    }
+
+    const joinRoom = (room) => {
+      socket.emit('join room', room, (data) => {
+        if (data.error) {
+          log(t('room.joinFailed', { room, error: data }));
+          return;
+        }
+        openRoom(data);
+      });
+    }
+
+    const leaveRoom = (room) => {
+      socket.emit('leave room', room, (data) => {
+        if (data.error) return;
+        rooms[room].$messages.remove();
+        delete rooms[room];
+        if (room === currentRoom) {
+          switchRoom(DEFAULT_ROOM);
+        } else {
+          renderRooms();
+        }
+      });
+    }
+
+    // Draws the online users, the most present first
+    const renderRoster = () => {
+      const list = Object.values(roster).sort((a, b) =>
+        STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status) ||
+        a.username.localeCompare(b.username)
+      );
+      $onlineCount.text(list.length);
+      $onlineList.empty().append(list.map((user) => {
+        const since = new Date(user.joinedAt).toLocaleTimeString(language);
+        const $user = $('<li class="onlineUser"/>')
+          .addClass(user.status)
+          .attr('title', t('roster.since', { status: { key: `status.${user.status}` }, time: since }))
+          .append(
+            $('<span class="presenceDot"/>'),
+            $('<span class="onlineName"/>')
+              .text(user.userID === userID ? t('roster.you', { username: user.username }) : user.username)
+              .css('color', getUsernameColor(user.username))
+          );
+        if (user.tabs > 1) {
+          $user.append($('<span class="tabCount"/>').text(t('roster.tabs', { count: user.tabs })));
+        }
+        return $user;
+      }));
+    }
+
+    // Tells the server when this tab is hidden, idle or used again
+    const reportPresence = () => {
+      let status = 'online';
+      if (document.hidden) {
+        status = 'away';
+      } else if (Date.now() - lastActivity > IDLE_TIME) {
+        status = 'idle';
+      }
+      if (status !== presenceStatus && connected) {
+        presenceStatus = status;
+        socket.emit('presence', status);
+      }
+    }
+
+    // Asks the server for the messages sent while we were disconnected, and
+    // shows those we do not have yet
+    const fetchMissedMessages = () => {
+      socket.emit('missed messages', { since: lastSeen }, ({ messages }) => {
+        messages.forEach((data) => {
+          if (getMessageElement(data.id).length) return;
+          if (!data.room) {
+            const other = data.from === userID ? data.to : data.from;
+            if (!users[other]) return;
+            openConversation(users[other]);
+          }
+          if (!rooms[viewOf(data)]) return;
+          addChatMessage(data);
+          if (viewOf(data) !== currentRoom) {
+            rooms[viewOf(data)].unread++;
+          }
+          queueRead(data);
+        });
+        renderRooms();
+      });
+    }
+
+    // Enters the chat again after the server forgot this connection, and
+    // goes back into the rooms we were in
+    const resumeSession = () => {
+      socket.emit('add user', (data) => {
+        if (data.error) {
+          log(t('resume.failed', { error: data }));
+          return;
+        }
+        Object.keys(rooms)
+          .filter((room) => !rooms[room].userID && room !== DEFAULT_ROOM)
+          .forEach((room) => {
+            socket.emit('join room', room, (data) => {
+              if (data.error) {
+                log(t('room.rejoinFailed', { room, error: data }));
+              }
+            });
+          });
+        fetchMissedMessages();
+      });
+    }
+
+    // Draws the channel sidebar from the latest list sent by the server
+    let roomList = [];
+    const renderRooms = (list = roomList) => {
+      roomList = list;
+      $roomList.empty();
+      roomList.forEach(({ name, numUsers }) => {
+        const joined = !!rooms[name];
+        const $room = $('<li class="room"/>')
+          .toggleClass('joined', joined)
+          .toggleClass('active', name === currentRoom)
+          .data('room', name)
+          .append(
+            $('<span class="roomName"/>').text(`#${name}`),
+            $('<span class="roomCount"/>').text(numUsers)
+          );
+        if (joined && rooms[name].unread) {
+          $room.append($('<span class="roomUnread"/>').text(rooms[name].unread));
+        }
+        if (joined && name !== DEFAULT_ROOM) {
+          $room.append($('<button class="roomLeave">×</button>').attr('title', t('room.leave')));
+        }
+        $roomList.append($room);
+      });
+
+      $userList.empty();
+      Object.values(users).forEach((user) => {
+        const key = '@' + user.userID;
+        const $user = $('<li class="user"/>')
+          .toggleClass('connected', user.connected)
+          .toggleClass('active', key === currentRoom)
+          .data('userID', user.userID)
+          .append($('<span class="roomName"/>').text(user.username));
+        if (BADGE_ROLES.indexOf(user.role) !== -1) {
+          $user.append($('<span class="roleBadge"/>').text(t(`role.badge.${user.role}`)));
+        }
+        if (rooms[key] && rooms[key].unread) {
+          $user.append($('<span class="roomUnread"/>').text(rooms[key].unread));
+        }
+        if (canModerate(user.role)) {
+          $user.append(
+            $('<span class="moderationActions"/>').append(
+              $('<button data-action="mute">🔇</button>').attr('title', t('moderate.mute')),
+              $('<button data-action="kick">⏏</button>').attr('title', t('moderate.kick')),
+              $('<button data-action="ban">⛔</button>').attr('title', t('moderate.ban'))
+            )
+          );
+        }
+        $userList.append($user);
+      });
+    }
+
+    // Tells if our role lets us moderate a user with `targetRole`
+    const canModerate = (targetRole = 'member') => {
+      return ROLES.indexOf(role) >= ROLES.indexOf('moderator') &&
+        ROLES.indexOf(role) > ROLES.indexOf(targetRole);
+    }
+
+    // Asks the server to mute, kick or ban a user
+    const moderate = (action, targetID) => {
+      const data = { action, userID: targetID };
+      if (action === 'mute') {
+        data.duration = window.prompt(t('moderate.mutePrompt', { username: users[targetID].username }), '10');
+        if (!data.duration) return;
+      } else {
+        data.reason = window.prompt(t(`moderate.${action}Prompt`, { username: users[targetID].username }), '');
+        if (data.reason === null) return;
+        // others may share the addresses of the user, so it is asked
+        if (action === 'ban') {
+          data.ip = window.confirm(t('moderate.banIpPrompt', { username: users[targetID].username }));
+        }
+      }
+      socket.emit('moderate', data, (result) => {
+        if (result.error) {
+          log(t('moderate.failed', { error: result }));
+        }
+      });
+    }
+
     // Adds the visual chat typing message
     const addChatTyping = (data) => {
       data.typing = true;
-      data.message = 'is typing';
+      data.message = t('typing');
       addChatMessage(data);
     }
   
@@ -111,6 +1309,7 @@ $(function() {
   
     // Adds a message element to the messages and scrolls to the bottom
     // el - The element to add as a message
+    // options.room - The room the element belongs to (default = the current one)
     // options.fade - If the element should fade-in (default = true)
     // options.prepend - If the element should prepend
     //   all other messages (default = false)
@@ -126,31 +1325,31 @@ $(function() {
       if (typeof options.prepend === 'undefined') {
         options.prepend = false;
       }
+      const view = rooms[options.room || currentRoom];
+      if (!view) return;
   
       // Apply options
       if (options.fade) {
         $el.hide().fadeIn(FADE_TIME);
       }
       if (options.prepend) {
-        $messages.prepend($el);
+        view.$messages.prepend($el);
       } else {
-        $messages.append($el);
+        view.$messages.append($el);
       }
   
-      $messages[0].scrollTop = $messages[0].scrollHeight;
-    }
-  
-    // Prevents input from having injected markup
-    const cleanInput = (input) => {
-      return $('<div/>').text(input).html();
+      if (view.$messages.is(':visible')) {
+        $chatArea[0].scrollTop = $chatArea[0].scrollHeight;
+      }
     }
   
     // Updates the typing event
     const updateTyping = () => {
-      if (connected) {
+      // Typing notifications are only shared in rooms
+      if (connected && !rooms[currentRoom].userID) {
         if (!typing) {
           typing = true;
-          socket.emit('typing');
+          socket.emit('typing', { room: currentRoom });
         }
         lastTypingTime = (new Date()).getTime();
   
@@ -158,7 +1357,7 @@ $(function() {
           const typingTimer = (new Date()).getTime();
           const timeDiff = typingTimer - lastTypingTime;
           if (timeDiff >= TYPING_TIMER_LENGTH && typing) {
-            socket.emit('stop typing');
+            socket.emit('stop typing', { room: currentRoom });
             typing = false;
           }
         }, TYPING_TIMER_LENGTH);
@@ -167,7 +1366,9 @@ $(function() {
   
     // Gets the 'X is typing' messages of a user
     const getTypingMessages = (data) => {
-      return $('.typing.message').filter(function (i) {
+      const view = rooms[data.room || currentRoom];
+      if (!view) return $();
+      return view.$messages.find('.typing.message').filter(function (i) {
         return $(this).data('username') === data.username;
       });
     }
@@ -187,6 +1388,42 @@ $(function() {
     // Keyboard events
   
     $window.keydown(event => {
+      // Replies are written in the thread panel
+      if ($(event.target).is($threadInput)) {
+        if (event.which === 13) {
+          sendReply();
+        } else if (event.which === 27) {
+          closeThread();
+        }
+        return;
+      }
+      // Enter searches, Escape closes the search
+      if ($(event.target).closest($searchPanel).length) {
+        if (event.which === 13) {
+          search(0);
+        } else if (event.which === 27) {
+          closeSearch();
+        }
+        return;
+      }
+      // Typing in the sidebar is not typing a message
+      if ($(event.target).is($roomInput)) {
+        if (event.which === 13 && $roomInput.val().trim()) {
+          joinRoom($roomInput.val().trim());
+          $roomInput.val('');
+          $inputMessage.focus();
+        }
+        return;
+      }
+      // The arrows choose a language in its list
+      if ($(event.target).is($languageSelect)) return;
+      // Enter logs in from both inputs of the login form
+      if ($(event.target).is($usernameInput) || $(event.target).is($passwordInput)) {
+        if (event.which === 13) {
+          logIn('login');
+        }
+        return;
+      }
       // Auto-focus the current input when a key is typed
       if (!(event.ctrlKey || event.metaKey || event.altKey)) {
         $currentInput.focus();
@@ -195,25 +1432,205 @@ $(function() {
       if (event.which === 13) {
         if (username) {
           sendMessage();
-          socket.emit('stop typing');
+          socket.emit('stop typing', { room: currentRoom });
           typing = false;
         } else {
-          setUsername();
+          logIn('login');
         }
       }
     });
   
     $inputMessage.on('input', () => {
       updateTyping();
+      suggestCommands();
+    });
+
+    // Tab completes the first suggested command
+    $inputMessage.on('keydown', (event) => {
+      if (event.which === 9 && $commandSuggestions.is(':visible')) {
+        event.preventDefault();
+        completeCommand($commandSuggestions.children().first().data('name'));
+      }
+    });
+
+    $commandSuggestions.on('click', '.commandSuggestion', function () {
+      completeCommand($(this).data('name'));
+    });
+
+    // What arrived while we were away counts as seen once we come back
+    $window.focus(() => {
+      markRead();
     });
   
+    // Using the page makes us present again; the timer notices when we stop
+    $window.on('mousemove keydown touchstart', () => {
+      lastActivity = Date.now();
+      if (presenceStatus !== 'online') {
+        reportPresence();
+      }
+    });
+    $(document).on('visibilitychange', reportPresence);
+    setInterval(reportPresence, 30 * 1000);
+
     // Click events
   
     // Focus input when clicking anywhere on login page
-    $loginPage.click(() => {
-      $currentInput.focus();
+    $loginPage.click((event) => {
+      if (!$(event.target).is('input, button, select')) {
+        $currentInput.focus();
+      }
     });
   
+    // Switch to a room, or join it, from the sidebar
+    $roomList.on('click', '.room', function () {
+      const room = $(this).data('room');
+      if (rooms[room]) {
+        switchRoom(room);
+      } else {
+        joinRoom(room);
+      }
+      $inputMessage.focus();
+    });
+
+    // Edit or delete one of our messages
+    $messageLists.on('click', '.editMessage', function () {
+      editMessage($(this).closest('.message').attr('data-id'));
+    });
+
+    $messageLists.on('click', '.deleteMessage', function () {
+      deleteMessage($(this).closest('.message').attr('data-id'));
+    });
+
+    // Send again, or give up on, a message of the outbox that failed
+    $messageLists.on('click', '.resendButton', function () {
+      const $message = $(this).closest('.message');
+      const clientId = $message.attr('data-client-id');
+      updateOutbox((entries) => entries.map((entry) => {
+        return entry.clientId === clientId ? { ...entry, failed: null } : entry;
+      }));
+      setOutboxStatus($message, { failed: null });
+      flushOutbox();
+    });
+
+    $messageLists.on('click', '.discardButton', function () {
+      const $message = $(this).closest('.message');
+      const clientId = $message.attr('data-client-id');
+      updateOutbox((entries) => entries.filter((entry) => entry.clientId !== clientId));
+      $message.remove();
+    });
+
+    // React to a message with the picker, or toggle a reaction from its chip
+    $messageLists.on('click', '.reactButton', function (event) {
+      event.stopPropagation();
+      showReactionPicker($(this).closest('.message'));
+    });
+
+    $messageLists.on('click', '.reactionPicker button', function (event) {
+      event.stopPropagation();
+      toggleReaction($(this).closest('.message').attr('data-id'), $(this).data('emoji'));
+      $(this).closest('.reactionPicker').remove();
+    });
+
+    $messageLists.on('click', '.reaction', function () {
+      toggleReaction($(this).closest('.message').attr('data-id'), $(this).data('emoji'));
+    });
+
+    $(document).on('click', () => {
+      $('.reactionPicker').remove();
+    });
+
+    // Open the thread of a message to read or write replies
+    $chatArea.on('click', '.replyButton, .replyCount', function () {
+      openThread($(this).closest('.message').attr('data-id'));
+    });
+
+    $('.closeThread').click(() => {
+      closeThread();
+    });
+
+    $roomHeader.on('click', '.encryptionButton', () => {
+      showFingerprints(rooms[currentRoom].userID);
+    });
+
+    $('.renameButton').click(() => {
+      changeUsername();
+    });
+
+    $('.loginButton').click(() => {
+      logIn('login');
+    });
+
+    $('.registerButton').click(() => {
+      logIn('register');
+    });
+
+    // Logging out disconnects every tab of this browser
+    $('.logoutButton').click(() => {
+      $.post('/logout').always(() => {
+        location.reload();
+      });
+    });
+
+    // Search the history; a result shows the message where it was sent
+    $('.searchButton').click(() => {
+      openSearch();
+    });
+
+    $('.closeSearch').click(() => {
+      closeSearch();
+    });
+
+    $('.searchMore').click(() => {
+      search(searchPage + 1);
+    });
+
+    $searchResults.on('click', '.searchResult', function () {
+      showSearchResult($(this).data('result'));
+    });
+
+    // Shows the page in another language and remembers it; what was already
+    // said stays in the language it was said in
+    $languageSelect.on('change', function () {
+      language = $(this).val();
+      localStorage.setItem('language', language);
+      applyLanguage();
+    });
+    applyLanguage();
+
+    // Fold or unfold the online users, and remember it
+    $('.presenceToggle').click(() => {
+      $onlineList.toggle();
+      localStorage.setItem('rosterCollapsed', $onlineList.is(':hidden') ? '1' : '');
+    });
+    if (localStorage.getItem('rosterCollapsed')) {
+      $onlineList.hide();
+    }
+
+    // Open the private conversation with a user from the sidebar
+    $userList.on('click', '.user', function () {
+      switchRoom(openConversation(users[$(this).data('userID')]));
+      $inputMessage.focus();
+    });
+
+    $userList.on('click', '.moderationActions button', function (event) {
+      event.stopPropagation();
+      moderate($(this).data('action'), $(this).closest('.user').data('userID'));
+    });
+
+    $roomList.on('click', '.roomLeave', function (event) {
+      event.stopPropagation();
+      leaveRoom($(this).closest('.room').data('room'));
+    });
+
+    // Send the picked file, and allow picking the same one again
+    $fileInput.on('change', () => {
+      const file = $fileInput[0].files[0];
+      $fileInput.val('');
+      if (file) {
+        sendFile(file);
+      }
+    });
+
     // Focus input when clicking on the message input's border
     $inputMessage.click(() => {
       $inputMessage.focus();
@@ -221,31 +1638,301 @@ $(function() {
   
     // Socket events
   
+    // Whenever the server emits 'session', remember who we are
+    socket.on('session', (data) => {
+      userID = data.userID;
+    });
+
     // Whenever the server emits 'login', log the login message
     socket.on('login', (data) => {
       connected = true;
-      // Display the welcome message
-      const message = 'MungGo xin chào';
-      log(message, {
-        prepend: true
+      outboxSocket.connect();
+      maxFileSize = data.maxFileSize;
+      commands = data.commands || [];
+      role = data.role || 'member';
+      data.users.forEach((user) => {
+        users[user.userID] = user;
+        if (user.messages.length) {
+          openConversation(user);
+        }
       });
-      addParticipantsMessage(data);
+      renderRooms(data.rooms);
+      setUpEncryption();
+      // After a reconnection the room is already on screen
+      if (rooms[data.room]) {
+        flushOutbox();
+        return;
+      }
+      // Show what was said before we arrived, then the welcome message
+      openRoom(data);
+      log(t('welcome'), {
+        room: data.room
+      });
+      // and what we wrote before the page was loaded again
+      showOutbox();
+      flushOutbox();
+    });
+
+    // Whenever the server emits 'presence:sync', replace the whole roster; it
+    // counts this tab as active, so tell it if it is not
+    socket.on('presence:sync', (list) => {
+      Object.keys(roster).forEach((id) => {
+        delete roster[id];
+      });
+      list.forEach((user) => {
+        roster[user.userID] = user;
+      });
+      renderRoster();
+      presenceStatus = 'online';
+      reportPresence();
+    });
+
+    // Whenever the server emits 'presence:update', change one user of the roster
+    socket.on('presence:update', (data) => {
+      if (data.type === 'remove') {
+        delete roster[data.userID];
+      } else {
+        roster[data.user.userID] = data.user;
+      }
+      renderRoster();
+    });
+
+    // Whenever the server emits 'rooms', redraw the sidebar with the new counts
+    socket.on('rooms', (list) => {
+      renderRooms(list);
     });
   
     // Whenever the server emits 'new message', update the chat body
-    socket.on('new message', (data) => {
+    // and acknowledge it so the sender knows it was delivered
+    socket.on('new message', (data, callback) => {
+      if (!rooms[data.room]) return;
+      // a reply in a thread we take part in; the thread shows it if open
+      if (data.parentId) {
+        addThreadReply(data);
+        if (data.parentId !== openThreadId) {
+          getMessageElement(data.parentId).children('.replyCount').addClass('unread');
+        }
+        return;
+      }
       addChatMessage(data);
+      if (data.room !== currentRoom) {
+        rooms[data.room].unread++;
+        renderRooms();
+      }
+      queueRead(data);
+      if (callback) {
+        callback();
+      }
     });
   
+    // Whenever the server emits 'private message', show it in the conversation
+    // and acknowledge it so the sender knows it was delivered
+    socket.on('private message', (data, callback) => {
+      const other = data.from === userID ? data.to : data.from;
+      if (!users[other] && other === data.from) {
+        users[other] = { userID: other, username: data.username, connected: true };
+      }
+      if (!users[other]) return;
+      openConversation(users[other]);
+      addChatMessage(data);
+      if (viewOf(data) !== currentRoom) {
+        rooms[viewOf(data)].unread++;
+      }
+      renderRooms();
+      queueRead(data);
+      if (callback) {
+        callback();
+      }
+    });
+
+    // Whenever the server emits 'user connected', list them in the sidebar;
+    // a key we already have is only replaced by 'public key'
+    socket.on('user connected', (user) => {
+      if (user.userID === userID) return;
+      const known = users[user.userID] || {};
+      users[user.userID] = Object.assign(known, {
+        userID: user.userID,
+        username: user.username,
+        role: user.role,
+        publicKey: user.publicKey || known.publicKey,
+        connected: true
+      });
+      renderRooms();
+    });
+
+    // Whenever the server emits 'public key', a user published a new one;
+    // a key that replaces another must be compared again
+    socket.on('public key', (data) => {
+      if (data.userID === userID) {
+        if (ownKey && !e2e.sameKey(ownKey, data.publicKey)) {
+          log(t('e2e.replaced'));
+        }
+        return;
+      }
+      const user = users[data.userID];
+      if (!user) return;
+      const view = '@' + data.userID;
+      if (user.publicKey && !e2e.sameKey(user.publicKey, data.publicKey) && rooms[view]) {
+        log(t('e2e.keyChanged', { username: user.username }), { room: view });
+      }
+      user.publicKey = data.publicKey;
+      if (view === currentRoom) {
+        renderRoomHeader();
+      }
+    });
+
+    // Whenever the server emits 'user disconnected', grey them out in the sidebar
+    socket.on('user disconnected', (id) => {
+      if (users[id]) {
+        users[id].connected = false;
+        renderRooms();
+      }
+    });
+
+    // Whenever the server emits 'moderation', tell what a moderator did
+    socket.on('moderation', (data) => {
+      const reason = data.reason ? ` (${data.reason})` : '';
+      const until = data.until ? new Date(data.until).toLocaleTimeString(language) : '';
+      const actions = ['mute', 'unmute', 'kick', 'ban', 'unban', 'role'];
+      log(t(actions.indexOf(data.action) !== -1 ? `moderation.${data.action}` : 'moderation.other', {
+        ...data,
+        until,
+        reason,
+        role: { key: `role.${data.role}` }
+      }));
+      if (data.action === 'role') {
+        if (data.userID === userID) {
+          role = data.role;
+        } else if (users[data.userID]) {
+          users[data.userID].role = data.role;
+        }
+        renderRooms();
+      }
+    });
+
+    // Whenever the server emits 'command reply', show it to us only, in our
+    // language
+    socket.on('command reply', (data) => {
+      log(t(data.key, data.params), { room: data.room || currentRoom });
+    });
+
+    // Whenever the server emits 'room joined' (after /join), open the room
+    socket.on('room joined', (data) => {
+      openRoom(data);
+    });
+
+    // Whenever the server emits 'room topic', show the new topic
+    socket.on('room topic', (data) => {
+      if (!rooms[data.room]) return;
+      rooms[data.room].topic = data.topic;
+      log(t('room.topicChanged', data), { room: data.room });
+      if (data.room === currentRoom) {
+        renderRoomHeader();
+      }
+    });
+
+    // Whenever the server emits 'room slowmode', tell how long to wait
+    socket.on('room slowmode', (data) => {
+      log(data.seconds
+        ? t('room.slowmodeOn', { username: data.username, count: data.seconds })
+        : t('room.slowmodeOff', data), { room: data.room });
+    });
+
+    // Whenever the server emits 'error', we sent too much too fast
+    // (dropped typing notifications are not worth telling)
+    socket.on('error', (data) => {
+      if (data.message === 'rate limited' && !/typing/.test(data.event)) {
+        log(t('rateLimited', { count: Math.ceil(data.retryAfter / 1000) }));
+      }
+    });
+
+    // Whenever the server emits 'receipt', update the status of our message
+    socket.on('receipt', (receipt) => {
+      const $message = getMessageElement(receipt.id);
+      if ($message.length) {
+        const isPrivate = !!rooms[$message.closest('.messages').attr('data-view')].userID;
+        setMessageStatus($message, receiptStatus(receipt, isPrivate));
+      }
+    });
+
+    // Whenever the server emits 'message edited', show the new text
+    socket.on('message edited', (data) => {
+      const $message = getMessageElement(data.id);
+      $message.find('.messageBody').each(function () {
+        setMessageText($(this), data.message);
+      });
+      if (!$message.find('.messageEdited').length) {
+        $message.find('.messageBody').after(editedMark());
+      }
+    });
+
+    // Whenever the server emits 'reaction', update the count of that emoji;
+    // it is ours if we (maybe in another tab) reacted
+    socket.on('reaction', (data) => {
+      const $message = getMessageElement(data.id);
+      if (!$message.length) return;
+      const mine = data.userID === userID
+        ? data.added
+        : getReactionChip($message, data.emoji).hasClass('mine');
+      setReaction($message, data.emoji, data.count, mine);
+    });
+
+    // Whenever the server emits 'mentioned', someone wrote our name, maybe in
+    // a room we are not in or one we are not looking at
+    socket.on('mentioned', (data) => {
+      const where = { key: data.parentId ? 'mention.thread' : 'mention.room', params: data };
+      if (document.hidden) {
+        notify(t('mention.notification', { username: data.username, where }), data.message, () => {
+          if (rooms[data.room]) {
+            switchRoom(data.room);
+          } else {
+            joinRoom(data.room);
+          }
+        });
+      }
+      if (data.room !== currentRoom || data.parentId) {
+        log(t('mention.log', { ...data, where }));
+      }
+    });
+
+    // Whenever the server emits 'thread updated', show the new reply count; the
+    // open thread fetches the replies that were not sent to us
+    socket.on('thread updated', (data) => {
+      const $parent = $chatArea.find(`.message[data-id="${data.id}"]`);
+      setReplyCount($parent, data.replyCount);
+      if (data.id === openThreadId && $threadMessages.children().length - 1 < data.replyCount) {
+        openThread(data.id);
+      }
+    });
+
+    // Whenever the server emits 'message deleted', remove it from the chat body
+    socket.on('message deleted', (data) => {
+      getMessageElement(data.id).fadeOut(FADE_TIME, function () {
+        $(this).remove();
+      });
+    });
+
+    // Whenever the server emits 'username changed', rename them everywhere
+    socket.on('username changed', (data) => {
+      if (data.userID === userID) {
+        username = data.username;
+        $myName.text(username);
+      } else if (users[data.userID]) {
+        users[data.userID].username = data.username;
+        renderRooms();
+      }
+      log(t('user.renamed', data), { room: data.room });
+    });
+
     // Whenever the server emits 'user joined', log it in the chat body
     socket.on('user joined', (data) => {
-      log(`${data.username} joined`);
+      log(t('user.joined', data), { room: data.room });
       addParticipantsMessage(data);
     });
   
     // Whenever the server emits 'user left', log it in the chat body
     socket.on('user left', (data) => {
-      log(`${data.username} left`);
+      log(t('user.left', data), { room: data.room });
       addParticipantsMessage(data);
       removeChatTyping(data);
     });
@@ -260,19 +1947,67 @@ $(function() {
       removeChatTyping(data);
     });
   
-    socket.on('disconnect', () => {
-      log('you have been disconnected');
+    // Whenever we are connected again, pick up where we left: the server
+    // may have kept our session (socket.recovered), or we log in again
+    socket.on('connect', () => {
+      $connectionBanner.hide();
+      if (!username) {
+        enterChat();
+        return;
+      }
+      log(t('connection.reconnected'));
+      if (socket.recovered) {
+        outboxSocket.connect();
+        fetchMissedMessages();
+        flushOutbox();
+      } else {
+        resumeSession();
+      }
     });
-  
-    socket.on('reconnect', () => {
-      log('you have been reconnected');
-      if (username) {
-        socket.emit('add user', username);
+
+    socket.on('disconnect', (reason) => {
+      // what the outbox sends waits until we are logged in again
+      outboxSocket.disconnect();
+      log(t('connection.disconnected'));
+      // the server only closes the connection itself after a kick or a ban
+      if (reason === 'io server disconnect') {
+        log(t('connection.kicked'));
+      } else {
+        $connectionBanner.text(t('connection.reconnecting')).show();
+      }
+    });
+
+    // A banned user cannot connect again, and a logged out one must log in
+    socket.on('connect_error', (err) => {
+      if (err.message === 'banned') {
+        log(t('connection.banned'));
+        showLoginError(t('connection.banned'));
+      } else if (err.message === 'not logged in') {
+        if (username) {
+          location.reload();
+        } else {
+          showLoginError(t('login.again'));
+        }
       }
     });
   
-    socket.on('reconnect_error', () => {
-      log('attempt to reconnect has failed');
+    // Connect right away when our session is still logged in
+    $.getJSON('/me').done(() => {
+      loggingIn = true;
+      socket.connect();
+    });
+
+    // The reconnection attempts are events of the Manager, not of the socket
+    socket.io.on('reconnect_attempt', (attempt) => {
+      $connectionBanner.text(t('connection.attempt', { count: attempt })).show();
+    });
+
+    socket.io.on('reconnect_error', () => {
+      log(t('connection.attemptFailed'));
+    });
+
+    socket.io.on('reconnect_failed', () => {
+      $connectionBanner.text(t('connection.failed')).show();
     });
   
   });
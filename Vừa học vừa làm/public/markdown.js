@@ -0,0 +1,99 @@
+// Renders the text of a chat message as HTML with a small Markdown subset:
+// **bold**, *italics* or _italics_, `inline code`, ```fenced code``` and links
+// for http(s) URLs; '@username' of known users is highlighted too.
+// Everything else is escaped, so that the result is safe to insert in the page.
+// The page loads it as window.markdown, the tests require() it.
+(function (exports) {
+  const CONTROL_CHARACTERS = /[\u0000-\u0008\u000b-\u001f\u007f-\u009f\u202a-\u202e\u2066-\u2069]/g;
+  // fenced code first, then inline code, are kept as they are written
+  const CODE = /```(?:[\w+-]*\n)?([\s\S]*?)```|`([^`\n]+)`/g;
+  const URL = /\bhttps?:\/\/[^\s<>"'`]+/g;
+  // punctuation that ends a sentence rather than the URL before it
+  const URL_END = /[.,:;!?)\]]+$/;
+  // a character that would make '@bob' part of a longer word
+  const WORD_CHARACTER = /[\p{L}\p{M}\p{N}_]/u;
+  // stands for the nth link until the text around it is formatted
+  const LINK = /\u0000(\d+)\u0000/g;
+
+  const escapeHtml = (text) => {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  };
+
+  const renderEmphasis = (html) => {
+    return html
+      .replace(/\*\*(?=\S)([^*]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?![\w*])/g, '$1<em>$2</em>')
+      .replace(/(^|[^\p{L}\p{N}_])_(?=\S)([^_]*?\S)_(?![\p{L}\p{N}_])/gu, '$1<em>$2</em>');
+  };
+
+  // wraps the '@username' of `usernames` in a span, the longest names first;
+  // usernames only have letters, digits, spaces and _ . - so they read the
+  // same once escaped
+  const renderMentions = (html, usernames, me) => {
+    if (!usernames.length || html.indexOf('@') === -1) return html;
+    const names = usernames.slice().sort((a, b) => b.length - a.length);
+    const lower = html.toLowerCase();
+    let result = '';
+    let start = 0;
+    for (let index = lower.indexOf('@'); index !== -1; index = lower.indexOf('@', index + 1)) {
+      if (index < start || WORD_CHARACTER.test(lower[index - 1] || '')) continue;
+      const name = names.find((name) => {
+        const next = lower[index + name.length + 1] || '';
+        return lower.startsWith('@' + name.toLowerCase(), index) && !WORD_CHARACTER.test(next);
+      });
+      if (!name) continue;
+      const end = index + name.length + 1;
+      const mine = me && name.toLowerCase() === me.toLowerCase();
+      result += html.slice(start, index) +
+        `<span class="mention${mine ? ' me' : ''}">${html.slice(index, end)}</span>`;
+      start = end;
+    }
+    return result + html.slice(start);
+  };
+
+  // formats text that is not code; the URLs are taken out first, so that
+  // nothing in them is mistaken for emphasis or a mention
+  const renderText = (text, options) => {
+    const links = [];
+    const withoutLinks = text.replace(URL, (url) => {
+      const end = (url.match(URL_END) || [''])[0];
+      url = url.slice(0, url.length - end.length);
+      links.push(url);
+      return `\u0000${links.length - 1}\u0000${end}`;
+    });
+    const html = renderMentions(
+      renderEmphasis(escapeHtml(withoutLinks)),
+      options.usernames || [],
+      options.me
+    );
+    return html.replace(LINK, (placeholder, index) => {
+      const url = escapeHtml(links[index]);
+      return `<a href="${url}" target="_blank" rel="noopener noreferrer nofollow">${url}</a>`;
+    });
+  };
+
+  // options.usernames - The users whose mentions are highlighted
+  // options.me - Our own username, highlighted even more
+  const renderMessage = (text, options = {}) => {
+    text = String(text || '').replace(CONTROL_CHARACTERS, '');
+    let html = '';
+    let start = 0;
+    text.replace(CODE, (match, block, inline, index) => {
+      html += renderText(text.slice(start, index), options);
+      html += block !== undefined
+        ? `<pre><code>${escapeHtml(block)}</code></pre>`
+        : `<code>${escapeHtml(inline)}</code>`;
+      start = index + match.length;
+      return match;
+    });
+    return html + renderText(text.slice(start), options);
+  };
+
+  exports.escapeHtml = escapeHtml;
+  exports.renderMessage = renderMessage;
+})(typeof module === 'object' ? module.exports : (window.markdown = {}));
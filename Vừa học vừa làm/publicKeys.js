@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const { MAX_MESSAGE_LENGTH } = require('./sanitize');
+
+// a public key is a P-256 point as WebCrypto exports it ('raw', uncompressed)
+const PUBLIC_KEY_LENGTH = 65;
+// AES-GCM takes a 96-bit iv and adds a 128-bit tag to the ciphertext
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+// a character takes at most 4 bytes of UTF-8
+const MAX_CIPHERTEXT_LENGTH = MAX_MESSAGE_LENGTH * 4 + TAG_LENGTH;
+
+// tells if `key` is a public key the clients can agree on a key with: the
+// server cannot read the messages, but it can refuse what is not a point of
+// the curve
+const isPublicKey = (key) => {
+  if (!Buffer.isBuffer(key) || key.length !== PUBLIC_KEY_LENGTH) return false;
+  try {
+    crypto.ECDH.convertKey(key, 'prime256v1');
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// checks the binary fields of an encrypted private message, sent by the
+// client as { iv, ciphertext, senderKey, recipientKey }, where the keys are
+// those it was encrypted with; returns only those fields, or null
+const checkEncrypted = (encrypted) => {
+  if (!encrypted || typeof encrypted !== 'object') return null;
+  const { iv, ciphertext, senderKey, recipientKey } = encrypted;
+  if (!Buffer.isBuffer(iv) || iv.length !== IV_LENGTH) return null;
+  if (!Buffer.isBuffer(ciphertext) || ciphertext.length <= TAG_LENGTH ||
+      ciphertext.length > MAX_CIPHERTEXT_LENGTH) return null;
+  if (!isPublicKey(senderKey) || !isPublicKey(recipientKey)) return null;
+  return { iv, ciphertext, senderKey, recipientKey };
+};
+
+module.exports = {
+  isPublicKey,
+  checkEncrypted
+};
@@ -0,0 +1,118 @@
+// a bucket holds up to `capacity` tokens and gets `refillPerSecond` new ones
+// every second; each event takes one
+class TokenBucket {
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now) {
+    const elapsed = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  // takes a token; returns 0, or how many ms to wait if the bucket is empty
+  take(now = Date.now()) {
+    this.refill(now);
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) / this.refillPerSecond * 1000);
+  }
+
+  isFull(now = Date.now()) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+}
+
+// limits how often each user may send each event, with a bucket per user,
+// event and room
+class RateLimiter {
+  // limits - { [event]: { capacity, refillPerSecond } }, events not listed are free
+  // roomLimits - the same, by room, replacing the defaults in that room
+  // maxViolations - how many refused events within `violationWindow` ms make
+  //   a user a repeat offender
+  constructor({ limits, roomLimits = {}, maxViolations = 10, violationWindow = 60 * 1000 }) {
+    this.limits = limits;
+    this.roomLimits = new Map(Object.entries(roomLimits));
+    this.maxViolations = maxViolations;
+    this.violationWindow = violationWindow;
+    this.buckets = new Map();
+    this.violations = new Map();
+    // forget the users who calmed down
+    setInterval(() => this.prune(), 60 * 1000).unref();
+  }
+
+  limitOf(event, room) {
+    const roomLimits = room && this.roomLimits.get(room);
+    if (roomLimits && roomLimits[event]) {
+      return roomLimits[event];
+    }
+    return this.limits[event];
+  }
+
+  // limit - { capacity, refillPerSecond }, or null to use the default again
+  setRoomLimit(room, event, limit) {
+    const roomLimits = { ...this.roomLimits.get(room) };
+    if (limit) {
+      roomLimits[event] = limit;
+    } else {
+      delete roomLimits[event];
+    }
+    this.roomLimits.set(room, roomLimits);
+    // the buckets of that room start over with the new limit
+    [...this.buckets.keys()]
+      .filter((key) => key.endsWith(`\n${event}\n${room}`))
+      .forEach((key) => this.buckets.delete(key));
+  }
+
+  // returns 0 if `userID` may send `event` (to `room`) now, or how many ms
+  // to wait before trying again
+  check(userID, event, room) {
+    const limit = this.limitOf(event, room);
+    if (!limit) return 0;
+    const key = `${userID}\n${event}\n${room || ''}`;
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, new TokenBucket(limit));
+    }
+    return this.buckets.get(key).take();
+  }
+
+  // counts a refused event, and tells if the user now is a repeat offender
+  recordViolation(userID) {
+    const now = Date.now();
+    const recent = (this.violations.get(userID) || []).filter(
+      (at) => now - at < this.violationWindow
+    );
+    recent.push(now);
+    if (recent.length >= this.maxViolations) {
+      // start counting again, so that the offender is reported only once
+      this.violations.delete(userID);
+      return true;
+    }
+    this.violations.set(userID, recent);
+    return false;
+  }
+
+  prune() {
+    const now = Date.now();
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.isFull(now)) this.buckets.delete(key);
+    });
+    this.violations.forEach((times, userID) => {
+      if (times.every((at) => now - at >= this.violationWindow)) {
+        this.violations.delete(userID);
+      }
+    });
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  RateLimiter
+};
@@ -0,0 +1,51 @@
+// how many messages are tracked before the oldest ones are forgotten
+const MAX_TRACKED = 1000;
+
+// remembers, for the latest messages, which users received and read them
+class ReceiptTracker {
+  constructor(maxTracked = MAX_TRACKED) {
+    this.maxTracked = maxTracked;
+    this.receipts = new Map();
+  }
+
+  track(id) {
+    if (!this.receipts.has(id)) {
+      this.receipts.set(id, { deliveredTo: new Set(), readBy: new Set() });
+      if (this.receipts.size > this.maxTracked) {
+        this.receipts.delete(this.receipts.keys().next().value);
+      }
+    }
+    return this.receipts.get(id);
+  }
+
+  // returns the new counts, or null if the user had already received it
+  markDelivered(id, userID) {
+    const receipt = this.track(id);
+    if (receipt.deliveredTo.has(userID)) return null;
+    receipt.deliveredTo.add(userID);
+    return this.summary(id);
+  }
+
+  // returns the new counts, or null if the user had already read it
+  markRead(id, userID) {
+    const receipt = this.track(id);
+    if (receipt.readBy.has(userID)) return null;
+    // a message that was read was delivered too
+    receipt.deliveredTo.add(userID);
+    receipt.readBy.add(userID);
+    return this.summary(id);
+  }
+
+  summary(id) {
+    const receipt = this.receipts.get(id);
+    return {
+      id,
+      delivered: receipt ? receipt.deliveredTo.size : 0,
+      read: receipt ? receipt.readBy.size : 0
+    };
+  }
+}
+
+module.exports = {
+  ReceiptTracker
+};
@@ -0,0 +1,16 @@
+// the longest message text the server accepts
+const MAX_MESSAGE_LENGTH = 2000;
+
+// control characters but tab and newline, and the invisible characters that
+// reverse the direction of the text after them, to disguise what it says
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000b-\u001f\u007f-\u009f\u202a-\u202e\u2066-\u2069]/g;
+
+// the text of a message as it is saved and sent to the other users
+const sanitizeText = (text) => {
+  return text.normalize('NFC').replace(CONTROL_CHARACTERS, '');
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  sanitizeText
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+
+const WORD = /[\p{L}\p{M}\p{N}]+/gu;
+// how much text a snippet shows around the first match
+const SNIPPET_LENGTH = 120;
+
+// the form words are indexed and searched in: lowercase, without diacritics,
+// so that "viet" finds "Việt" and "Việt" finds "VIỆT"
+const fold = (word) => {
+  return word
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/đ/g, 'd');
+};
+
+const tokenize = (text) => {
+  return [...new Set((String(text || '').normalize('NFC').match(WORD) || []).map(fold))];
+};
+
+// an inverted index from the words of the messages to their ids, kept in
+// memory and appended as JSON lines to `file`: { id, tokens } when a message
+// is indexed (again, after an edit), { id, removed: true } when it is deleted
+class SearchIndex {
+  constructor(file) {
+    this.documents = new Map();
+    this.postings = new Map();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) {
+      fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter((line) => line.trim())
+        .forEach((line) => {
+          try {
+            const { id, tokens, removed } = JSON.parse(line);
+            this.unindex(id);
+            if (!removed) this.index(id, tokens);
+          } catch (e) {
+            // skip a line truncated by a crash
+          }
+        });
+    }
+    this.stream = fs.createWriteStream(file, { flags: 'a' });
+    this.stream.on('error', (err) => {
+      console.error('could not save search index', err);
+    });
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  index(id, tokens) {
+    this.documents.set(id, tokens);
+    tokens.forEach((token) => {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Set());
+      }
+      this.postings.get(token).add(id);
+    });
+  }
+
+  unindex(id) {
+    (this.documents.get(id) || []).forEach((token) => {
+      const ids = this.postings.get(token);
+      ids.delete(id);
+      if (!ids.size) this.postings.delete(token);
+    });
+    this.documents.delete(id);
+  }
+
+  // indexes the text of a message, replacing what it said before
+  add(id, text) {
+    const tokens = tokenize(text);
+    this.unindex(id);
+    this.index(id, tokens);
+    this.stream.write(JSON.stringify({ id, tokens }) + '\n');
+  }
+
+  remove(id) {
+    if (!this.documents.has(id)) return;
+    this.unindex(id);
+    this.stream.write(JSON.stringify({ id, removed: true }) + '\n');
+  }
+
+  // returns the ids of the messages having every word of `query`; the last
+  // word may be the start of a longer one, as it is often still being typed
+  search(query) {
+    const terms = tokenize(query);
+    if (!terms.length) return [];
+    const last = terms.pop();
+    const sets = terms.map((term) => this.postings.get(term) || new Set());
+    const startingWithLast = new Set();
+    this.postings.forEach((ids, token) => {
+      if (token.startsWith(last)) {
+        ids.forEach((id) => startingWithLast.add(id));
+      }
+    });
+    sets.push(startingWithLast);
+    sets.sort((a, b) => a.size - b.size);
+    return [...sets[0]].filter((id) => sets.every((ids) => ids.has(id)));
+  }
+}
+
+// the part of `text` around the first word matching `query`, with the
+// [start, end] offsets of every matching word in it, to be highlighted
+const snippetOf = (text, query) => {
+  text = String(text || '').normalize('NFC');
+  const terms = tokenize(query);
+  const last = terms[terms.length - 1];
+  const matches = [];
+  for (const match of text.matchAll(WORD)) {
+    const word = fold(match[0]);
+    if (terms.includes(word) || (last && word.startsWith(last))) {
+      matches.push([match.index, match.index + match[0].length]);
+    }
+  }
+  let start = 0;
+  if (text.length > SNIPPET_LENGTH && matches.length) {
+    start = Math.max(0, Math.min(matches[0][0] - 30, text.length - SNIPPET_LENGTH));
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  return {
+    snippet: prefix + text.slice(start, end) + (end < text.length ? '…' : ''),
+    highlights: matches
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+  };
+};
+
+module.exports = {
+  fold,
+  tokenize,
+  snippetOf,
+  SearchIndex
+};
@@ -0,0 +1,83 @@
+// how many minutes of messages the statistics cover
+const WINDOW_MINUTES = 60;
+// how many of the users who sent the most messages are listed
+const TOP_TALKERS = 10;
+const MINUTE = 60 * 1000;
+
+// counts the messages sent through this node minute by minute, with who sent
+// them, for the last `windowMinutes` minutes
+class MessageStats {
+  constructor({ windowMinutes = WINDOW_MINUTES, now = Date.now } = {}) {
+    this.windowMinutes = windowMinutes;
+    this.now = now;
+    // the minutes with messages, oldest first: { minute, count, talkers },
+    // where talkers counts the messages of each user id
+    this.minutes = [];
+  }
+
+  // forgets the minutes that left the window
+  prune() {
+    const first = Math.floor(this.now() / MINUTE) - this.windowMinutes + 1;
+    while (this.minutes.length && this.minutes[0].minute < first) {
+      this.minutes.shift();
+    }
+  }
+
+  record({ from, username }) {
+    this.prune();
+    const minute = Math.floor(this.now() / MINUTE);
+    let last = this.minutes[this.minutes.length - 1];
+    if (!last || last.minute !== minute) {
+      last = { minute, count: 0, talkers: new Map() };
+      this.minutes.push(last);
+    }
+    last.count++;
+    const talker = last.talkers.get(from) || { userID: from, username, count: 0 };
+    // the latest username of a user is the one shown
+    last.talkers.set(from, { ...talker, username, count: talker.count + 1 });
+  }
+
+  // the number of messages of every minute of the window, the current one
+  // last, as [{ time, count }] where time is the start of the minute
+  perMinute() {
+    this.prune();
+    const counts = new Map(this.minutes.map(({ minute, count }) => [minute, count]));
+    const current = Math.floor(this.now() / MINUTE);
+    const minutes = [];
+    for (let minute = current - this.windowMinutes + 1; minute <= current; minute++) {
+      minutes.push({ time: minute * MINUTE, count: counts.get(minute) || 0 });
+    }
+    return minutes;
+  }
+
+  // the users who sent the most messages in the window, as
+  // [{ userID, username, count }]
+  topTalkers(limit = TOP_TALKERS) {
+    this.prune();
+    const totals = new Map();
+    this.minutes.forEach(({ talkers }) => {
+      talkers.forEach(({ userID, username, count }) => {
+        const total = totals.get(userID);
+        totals.set(userID, { userID, username, count: count + (total ? total.count : 0) });
+      });
+    });
+    return [...totals.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+  }
+}
+
+// how many of `sockets` use each transport: polling, websocket or webtransport
+const countTransports = (sockets) => {
+  const counts = {};
+  for (const socket of sockets) {
+    const name = socket.conn.transport.name;
+    counts[name] = (counts[name] || 0) + 1;
+  }
+  return counts;
+};
+
+module.exports = {
+  MessageStats,
+  countTransports
+};
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validatePassword, InMemoryAccountStore, FileAccountStore } = require('../accountStore');
+
+test('refuses short passwords', () => {
+  assert.deepEqual(validatePassword('1234567'), { error: 'password too short', params: { min: 8 } });
+  assert.deepEqual(validatePassword(undefined), { error: 'invalid password' });
+  assert.equal(validatePassword('mật khẩu dài'), null);
+});
+
+test('keeps a hash of the password, never the password', async () => {
+  const store = new InMemoryAccountStore();
+  const account = await store.createAccount('Lan', 'mật khẩu dài');
+  assert.doesNotMatch(JSON.stringify(account), /mật khẩu/);
+  assert.equal(account.hash.length, 128);
+});
+
+test('checks passwords, whatever the case of the username', async () => {
+  const store = new InMemoryAccountStore();
+  const { userID } = await store.createAccount('Lan', 'mật khẩu dài');
+  assert.equal((await store.verifyPassword('LAN', 'mật khẩu dài')).userID, userID);
+  assert.equal(await store.verifyPassword('Lan', 'mật khẩu ngắn'), undefined);
+  assert.equal(await store.verifyPassword('Minh', 'mật khẩu dài'), undefined);
+});
+
+test('gives a username to one account only', async () => {
+  const store = new InMemoryAccountStore();
+  const accounts = await Promise.all([
+    store.createAccount('Lan', 'password1'),
+    store.createAccount('lan', 'password2')
+  ]);
+  assert.equal(accounts.filter(Boolean).length, 1);
+});
+
+test('remembers renamed accounts after a restart', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-')), 'accounts.jsonl');
+  const store = new FileAccountStore(file);
+  const { userID } = await store.createAccount('Lan', 'password1');
+  store.renameAccount(userID, 'Lan Anh');
+  await new Promise((resolve) => store.stream.end(resolve));
+  const reloaded = new FileAccountStore(file);
+  assert.equal(reloaded.findAccount(userID).username, 'Lan Anh');
+  assert.equal(reloaded.findAccountByUsername('lan'), undefined);
+  assert.ok(await reloaded.verifyPassword('lan anh', 'password1'));
+});
@@ -0,0 +1,97 @@
+// Starts app.js in a child process, on a free port and with its data in a
+// temporary directory, for the tests that go through the server end to end.
+// Not a test file itself: `npm test` only runs test/*.test.js
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.on('error', reject);
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// resolves with the first `event` the socket gets that `accept` accepts
+const nextEvent = (socket, event, accept = () => true) => new Promise((resolve) => {
+  const listener = (...args) => {
+    if (!accept(...args)) return;
+    socket.off(event, listener);
+    resolve(args[0]);
+  };
+  socket.on(event, listener);
+});
+
+// env - the variables to add to those of the test, like BOT_TOKENS
+const startServer = async (env = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'app.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      MESSAGE_STORE: path.join(dir, 'messages.jsonl'),
+      ACCOUNT_STORE: path.join(dir, 'accounts.jsonl'),
+      SEARCH_INDEX: path.join(dir, 'search.jsonl'),
+      AUDIT_LOG: path.join(dir, 'audit.jsonl'),
+      UPLOAD_DIR: path.join(dir, 'uploads'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => {
+      if (/listening/.test(chunk)) resolve();
+    });
+    child.on('exit', (code) => reject(new Error(`the server exited with ${code}`)));
+  });
+  const url = `http://localhost:${port}`;
+  const sockets = [];
+
+  // registers `username` and resolves with the cookie of its session
+  const register = async (username, password = 'mật khẩu dài') => {
+    const res = await fetch(`${url}/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    if (res.status !== 201) throw new Error(`could not register ${username}: ${await res.text()}`);
+    return res.headers.get('set-cookie').split(';')[0];
+  };
+
+  // a socket of the namespace `nsp`, connected with `options` (like
+  // { extraHeaders: { cookie } } or { auth: { token } })
+  const connect = (nsp = '/', options = {}) => {
+    const socket = io(url + nsp, { forceNew: true, transports: ['websocket'], ...options });
+    sockets.push(socket);
+    return socket;
+  };
+
+  // registers `username` and enters the chat; resolves with its socket, its
+  // user id and the answer to 'add user'
+  const logIn = async (username) => {
+    const cookie = await register(username);
+    const socket = connect('/', { extraHeaders: { cookie } });
+    const { userID } = await nextEvent(socket, 'session');
+    const login = await socket.emitWithAck('add user');
+    return { socket, cookie, userID, login };
+  };
+
+  const stop = () => new Promise((resolve) => {
+    sockets.forEach((socket) => socket.disconnect());
+    child.once('exit', resolve);
+    child.kill();
+  });
+
+  return { url, dir, register, connect, logIn, stop };
+};
+
+module.exports = {
+  nextEvent,
+  startServer
+};
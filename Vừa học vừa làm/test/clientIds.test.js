@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isClientId, ClientIdTracker } = require('../clientIds');
+
+test('finds a message by the id its sender gave it', () => {
+  const tracker = new ClientIdTracker();
+  tracker.track({ id: 'm1', from: 'alice', clientId: 'c1' });
+  assert.equal(tracker.findMessageId('alice', 'c1'), 'm1');
+  // another user may use the same client id
+  assert.equal(tracker.findMessageId('bob', 'c1'), undefined);
+});
+
+test('ignores messages without a client id', () => {
+  const tracker = new ClientIdTracker();
+  tracker.track({ id: 'm1', from: 'alice' });
+  tracker.track({ id: 'm2', from: 'alice', clientId: 'x'.repeat(65) });
+  assert.equal(tracker.messageIds.size, 0);
+  assert.equal(isClientId(''), false);
+  assert.equal(isClientId(42), false);
+});
+
+test('forgets the oldest messages', () => {
+  const tracker = new ClientIdTracker(2);
+  ['c1', 'c2', 'c3'].forEach((clientId, i) => tracker.track({ id: `m${i}`, from: 'alice', clientId }));
+  assert.equal(tracker.findMessageId('alice', 'c1'), undefined);
+  assert.equal(tracker.findMessageId('alice', 'c3'), 'm2');
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const e2e = require('../public/e2e');
+const { isPublicKey, checkEncrypted } = require('../publicKeys');
+const { nextEvent, startServer } = require('./chatServer');
+
+const createUser = async (userID) => {
+  const keyPair = await e2e.generateKeyPair();
+  return { userID, keyPair, ownKey: await e2e.exportPublicKey(keyPair) };
+};
+
+// what the server receives and relays: Buffers, as socket.io gives them
+const relay = (encrypted) => {
+  return Object.fromEntries(Object.entries(encrypted).map(([field, value]) => [field, Buffer.from(value)]));
+};
+
+test('both ends of a conversation read its messages', async () => {
+  const lan = await createUser('lan');
+  const bao = await createUser('bao');
+  const encrypted = await e2e.encrypt({
+    keyPair: lan.keyPair,
+    ownKey: lan.ownKey,
+    peerKey: bao.ownKey,
+    from: 'lan',
+    to: 'bao',
+    text: 'Chào Bảo 👋'
+  });
+  const message = { from: 'lan', to: 'bao', encrypted: relay(encrypted) };
+  assert.equal(await e2e.decrypt({ ...bao, message }), 'Chào Bảo 👋');
+  assert.equal(await e2e.decrypt({ ...lan, message }), 'Chào Bảo 👋');
+
+  const other = await createUser('other');
+  await assert.rejects(e2e.decrypt({ ...other, message }), /another key/);
+});
+
+test('refuses a message altered or moved to another conversation', async () => {
+  const lan = await createUser('lan');
+  const bao = await createUser('bao');
+  const encrypted = relay(await e2e.encrypt({
+    keyPair: lan.keyPair,
+    ownKey: lan.ownKey,
+    peerKey: bao.ownKey,
+    from: 'lan',
+    to: 'bao',
+    text: 'bí mật'
+  }));
+  await assert.rejects(e2e.decrypt({ ...bao, message: { from: 'eve', to: 'bao', encrypted } }));
+  encrypted.ciphertext[0] ^= 1;
+  await assert.rejects(e2e.decrypt({ ...bao, message: { from: 'lan', to: 'bao', encrypted } }));
+});
+
+test('fingerprints a public key as groups of hex digits', async () => {
+  const { ownKey } = await createUser('lan');
+  const fingerprint = await e2e.fingerprint(ownKey);
+  assert.match(fingerprint, /^([0-9a-f]{4} ){15}[0-9a-f]{4}$/);
+  assert.equal(await e2e.fingerprint(Buffer.from(ownKey)), fingerprint);
+});
+
+test('the server accepts only points of the curve as public keys', async () => {
+  const { ownKey } = await createUser('lan');
+  const key = Buffer.from(ownKey);
+  assert.equal(isPublicKey(key), true);
+  assert.equal(isPublicKey(ownKey), false);
+  assert.equal(isPublicKey(key.subarray(1)), false);
+  const offCurve = Buffer.from(key);
+  offCurve[64] ^= 1;
+  assert.equal(isPublicKey(offCurve), false);
+});
+
+test('the server checks the form of an encrypted message', async () => {
+  const lan = await createUser('lan');
+  const bao = await createUser('bao');
+  const encrypted = relay(await e2e.encrypt({
+    keyPair: lan.keyPair,
+    ownKey: lan.ownKey,
+    peerKey: bao.ownKey,
+    from: 'lan',
+    to: 'bao',
+    text: 'xin chào'
+  }));
+  assert.deepEqual(checkEncrypted({ ...encrypted, extra: 'dropped' }), encrypted);
+  assert.equal(checkEncrypted({ ...encrypted, iv: Buffer.alloc(8) }), null);
+  assert.equal(checkEncrypted({ ...encrypted, ciphertext: 'xin chào' }), null);
+  assert.equal(checkEncrypted({ ...encrypted, ciphertext: Buffer.alloc(100000) }), null);
+  assert.equal(checkEncrypted({ ...encrypted, recipientKey: Buffer.alloc(65) }), null);
+  assert.equal(checkEncrypted('xin chào'), null);
+});
+
+test('a user whose connection recovers keeps its public key', async (t) => {
+  const server = await startServer();
+  t.after(server.stop);
+  const lan = await server.logIn('Lan');
+  const bao = await server.logIn('Bảo');
+  const publicKey = crypto.createECDH('prime256v1');
+  publicKey.generateKeys();
+  assert.deepEqual(await bao.socket.emitWithAck('publish key', publicKey.getPublicKey()), {});
+
+  const connected = nextEvent(lan.socket, 'user connected', (user) => user.username === 'Bảo');
+  // the transport drops, and the client reconnects in time to recover
+  bao.socket.io.engine.close();
+  const user = await connected;
+  assert.ok(bao.socket.recovered);
+  assert.deepEqual(Buffer.from(user.publicKey), publicKey.getPublicKey());
+});
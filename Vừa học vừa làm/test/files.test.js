@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./chatServer');
+
+test('only the two ends of a conversation download its attachments', async (t) => {
+  const server = await startServer();
+  t.after(server.stop);
+  const lan = await server.logIn('Lan');
+  const bao = await server.logIn('Bảo');
+  const other = await server.logIn('Châu');
+  const download = (url, cookie) => fetch(server.url + url, { headers: cookie ? { cookie } : {} });
+
+  const { message } = await lan.socket.emitWithAck('send file', {
+    to: bao.userID,
+    name: 'riêng.txt',
+    type: 'text/plain',
+    data: Buffer.from('chỉ cho Bảo')
+  });
+  assert.equal((await download(message.attachment.url, lan.cookie)).status, 200);
+  const res = await download(message.attachment.url, bao.cookie);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('cache-control'), /^private/);
+  assert.equal(await res.text(), 'chỉ cho Bảo');
+  assert.equal((await download(message.attachment.url, other.cookie)).status, 404);
+  assert.equal((await download(message.attachment.url)).status, 404);
+
+  const shared = await lan.socket.emitWithAck('send file', {
+    room: 'general',
+    name: 'chung.txt',
+    type: 'text/plain',
+    data: Buffer.from('cho cả kênh')
+  });
+  assert.equal((await download(shared.message.attachment.url)).status, 200);
+  assert.equal((await download('/files/0000.txt', lan.cookie)).status, 404);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CATALOGUES, pickLanguage, translate, translateError } = require('../public/i18n');
+const { createCommandRegistry } = require('../commands');
+
+test('fills in the parameters', () => {
+  assert.equal(translate('en', 'user.joined', { username: 'Lan' }), 'Lan joined');
+  assert.equal(translate('vi', 'user.joined', { username: 'Lan' }), 'Lan đã vào kênh');
+});
+
+test('picks the plural form of the language', () => {
+  assert.equal(translate('en', 'thread.replies', { count: 1 }), '1 reply');
+  assert.equal(translate('en', 'thread.replies', { count: 3 }), '3 replies');
+  assert.equal(translate('vi', 'thread.replies', { count: 1 }), '1 trả lời');
+  assert.equal(translate('vi', 'thread.replies', { count: 3 }), '3 trả lời');
+});
+
+test('prefers the form for an exact number', () => {
+  assert.equal(translate('vi', 'participants', { count: 1 }), 'Hiện tại đang có một người kết nối');
+  assert.equal(translate('vi', 'participants', { count: 2 }), 'Hiện tại đang có 2 người kết nối');
+  assert.equal(translate('en', 'participants', { count: 1 }), 'There is 1 participant');
+});
+
+test('translates messages and errors given as parameters', () => {
+  assert.equal(
+    translate('vi', 'command.moderate.failed', {
+      action: { key: 'command.action.kick' },
+      username: 'Bảo',
+      error: { error: 'not allowed' }
+    }),
+    'Không thể đuổi Bảo: không được phép'
+  );
+  assert.equal(translate('en', 'rename.failed', { error: { error: 'not allowed' } }), 'Could not change your username: not allowed');
+});
+
+test('fills in the parameters of the errors', () => {
+  assert.equal(
+    translate('vi', 'rename.failed', { error: { error: 'username too long', params: { max: 14 } } }),
+    'Không thể đổi tên: tên chỉ được dài tối đa 14 ký tự'
+  );
+  assert.equal(translateError('en', 'file too large', { max: 512 }), 'the file is larger than 512 KB');
+});
+
+test('shows unknown keys and errors as they are', () => {
+  assert.equal(translate('en', 'no.such.key'), 'no.such.key');
+  assert.equal(translateError('vi', 'something new'), 'something new');
+  assert.equal(translateError('vi', 'rate limited'), 'gửi quá nhanh');
+  assert.equal(translateError('vi', 'toString'), 'toString');
+});
+
+test('picks the chosen language, then the browser\'s, then Vietnamese', () => {
+  assert.equal(pickLanguage('en', ['vi']), 'en');
+  assert.equal(pickLanguage(null, ['fr-FR', 'en-US']), 'en');
+  assert.equal(pickLanguage('xx', ['fr']), 'vi');
+});
+
+test('has both languages for every text and every error', () => {
+  assert.deepEqual(Object.keys(CATALOGUES.en.messages).sort(), Object.keys(CATALOGUES.vi.messages).sort());
+  assert.deepEqual(Object.keys(CATALOGUES.en.errors).sort(), Object.keys(CATALOGUES.vi.errors).sort());
+});
+
+test('the replies of the commands are texts of the catalogue', async () => {
+  const commands = createCommandRegistry();
+  const replies = [];
+  const context = {
+    room: null,
+    reply: (key, params) => replies.push({ key, params }),
+    changeUsername: () => ({ error: 'this username is reserved' })
+  };
+  for (const text of ['/help', '/nosuch', '/me', '/nick', '/nick admin', '/topic', '/export']) {
+    await commands.run(text, context);
+  }
+  assert.ok(replies.length > commands.list().length);
+  replies.forEach(({ key, params }) => {
+    assert.ok(Object.prototype.hasOwnProperty.call(CATALOGUES.vi.messages, key), key);
+    assert.doesNotMatch(translate('vi', key, params), /command\./);
+  });
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMessage } = require('../public/markdown');
+
+test('escapes markup', () => {
+  assert.equal(
+    renderMessage('<img src=x onerror="alert(1)">'),
+    '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;'
+  );
+  assert.equal(renderMessage('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+});
+
+test('renders bold and italics', () => {
+  assert.equal(renderMessage('**đậm** và *nghiêng*'), '<strong>đậm</strong> và <em>nghiêng</em>');
+  assert.equal(renderMessage('_nghiêng_ but snake_case_name'), '<em>nghiêng</em> but snake_case_name');
+  assert.equal(renderMessage('2 * 3 * 4'), '2 * 3 * 4');
+});
+
+test('escapes markup inside emphasis', () => {
+  assert.equal(renderMessage('**<b>x</b>**'), '<strong>&lt;b&gt;x&lt;/b&gt;</strong>');
+});
+
+test('renders code as it is written', () => {
+  assert.equal(renderMessage('run `a **b** <c>`'), 'run <code>a **b** &lt;c&gt;</code>');
+  assert.equal(
+    renderMessage('```js\nconst a = "<x>";\n```'),
+    '<pre><code>const a = &quot;&lt;x&gt;&quot;;\n</code></pre>'
+  );
+  assert.equal(renderMessage('```*a* https://x.io```'), '<pre><code>*a* https://x.io</code></pre>');
+});
+
+test('links http and https URLs only', () => {
+  assert.equal(
+    renderMessage('xem https://example.com/a_b_c?x=1&y=2.'),
+    'xem <a href="https://example.com/a_b_c?x=1&amp;y=2" target="_blank" rel="noopener noreferrer nofollow">' +
+      'https://example.com/a_b_c?x=1&amp;y=2</a>.'
+  );
+  assert.equal(renderMessage('javascript:alert(1)'), 'javascript:alert(1)');
+  assert.equal(renderMessage('[x](javascript:alert(1))'), '[x](javascript:alert(1))');
+});
+
+test('cannot break out of the href of a link', () => {
+  const html = renderMessage('https://example.com/"onmouseover="alert(1)');
+  assert.match(html, /^<a href="https:\/\/example\.com\/" [^>]*>https:\/\/example\.com\/<\/a>&quot;onmouseover=/);
+});
+
+test('ignores control characters', () => {
+  assert.equal(renderMessage('a\u0000b\u202ec'), 'abc');
+  assert.equal(renderMessage('\u00000\u0000'), '0');
+});
+
+test('highlights mentions of known users, whatever the case', () => {
+  assert.equal(
+    renderMessage('chào @BOB và @anh tú, không phải @bobby hay a@bob', {
+      usernames: ['bob', 'Anh Tú'],
+      me: 'anh tú'
+    }),
+    'chào <span class="mention">@BOB</span> và <span class="mention me">@anh tú</span>, ' +
+      'không phải @bobby hay a@bob'
+  );
+});
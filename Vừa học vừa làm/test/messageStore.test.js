@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InMemoryMessageStore, FileMessageStore } = require('../messageStore');
+
+test('keeps the previous versions of a message apart from it', () => {
+  const store = new InMemoryMessageStore();
+  const { id } = store.saveMessage({ room: 'general', from: 'lan', username: 'Lan', message: 'chào' });
+  store.editMessage(id, 'chào cả nhà');
+  const message = store.findMessage(id);
+  assert.equal(message.message, 'chào cả nhà');
+  assert.equal(message.edits, undefined);
+  assert.deepEqual(store.findEdits(id).map(({ message }) => message), ['chào']);
+  assert.equal(store.findMessages({ room: 'general' }).messages[0].edits, undefined);
+});
+
+test('reloads the previous versions of the edited messages', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'messages-')), 'messages.jsonl');
+  const store = new FileMessageStore(file);
+  const { id } = store.saveMessage({ room: 'general', from: 'lan', username: 'Lan', message: 'một' });
+  store.editMessage(id, 'hai');
+  store.editMessage(id, 'ba');
+  await new Promise((resolve) => store.stream.end(resolve));
+
+  const reloaded = new FileMessageStore(file);
+  assert.equal(reloaded.findMessage(id).message, 'ba');
+  assert.equal(reloaded.findMessage(id).edits, undefined);
+  assert.deepEqual(reloaded.findEdits(id).map(({ message }) => message), ['một', 'hai']);
+  await new Promise((resolve) => reloaded.stream.end(resolve));
+});
+
+test('pages back from a deleted message, and from nowhere for an unknown one', () => {
+  const store = new InMemoryMessageStore();
+  const ids = ['một', 'hai', 'ba', 'bốn'].map((message) => {
+    return store.saveMessage({ room: 'general', from: 'lan', username: 'Lan', message }).id;
+  });
+  store.deleteMessage(ids[2]);
+  const page = store.findMessages({ room: 'general', before: ids[2], limit: 1 });
+  assert.deepEqual(page.messages.map(({ message }) => message), ['hai']);
+  assert.equal(page.hasMore, true);
+  assert.deepEqual(store.findMessages({ room: 'general', before: 'nosuch' }), { messages: [], hasMore: false });
+  assert.deepEqual(store.findMessages({ room: 'general' }).messages.map(({ message }) => message), ['một', 'hai', 'bốn']);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Moderation } = require('../moderation');
+const { nextEvent, startServer } = require('./chatServer');
+
+const newModeration = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moderation-'));
+  return new Moderation(path.join(dir, 'audit.jsonl'));
+};
+
+test('keeps a banned user out, and its addresses when they were banned', () => {
+  const moderation = newModeration();
+  moderation.record({ action: 'ban', target: { userID: 'bob', username: 'bob' } });
+  moderation.record({ action: 'ban', target: { userID: 'eve', username: 'eve' }, ips: ['10.0.0.1'] });
+  assert.equal(moderation.isBanned({ userID: 'bob', ip: '10.0.0.2' }), true);
+  assert.equal(moderation.isBanned({ userID: 'carol', ip: '10.0.0.2' }), false);
+  assert.equal(moderation.isBanned({ userID: 'carol', ip: '10.0.0.1' }), true);
+});
+
+test('never keeps moderators and owners out for their address', () => {
+  const moderation = newModeration();
+  moderation.record({ action: 'ban', target: { userID: 'eve', username: 'eve' }, ips: ['10.0.0.1'] });
+  assert.equal(moderation.isBanned({ userID: 'alice', ip: '10.0.0.1', role: 'owner' }), false);
+  assert.equal(moderation.isBanned({ userID: 'bob', ip: '10.0.0.1', role: 'moderator' }), false);
+  moderation.record({ action: 'unban', target: { userID: 'eve', username: 'eve' }, ips: ['10.0.0.1'] });
+  assert.equal(moderation.isBanned({ userID: 'carol', ip: '10.0.0.1' }), false);
+});
+
+test('gives roles to user ids, whatever the names become', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moderation-'));
+  const moderation = new Moderation(path.join(dir, 'audit.jsonl'), { owners: ['u1'], moderators: ['u2'] });
+  assert.equal(moderation.roleOf('u1'), 'owner');
+  assert.equal(moderation.roleOf('u2'), 'moderator');
+  moderation.record({ action: 'role', target: { userID: 'u3', username: 'alice' }, role: 'moderator' });
+  assert.equal(moderation.roleOf('u3'), 'moderator');
+  assert.equal(moderation.roleOf('alice'), 'member');
+});
+
+test('a flood gets its sender kicked once', async (t) => {
+  const server = await startServer();
+  t.after(server.stop);
+  const lan = await server.logIn('Lan');
+  const bao = await server.logIn('Bảo');
+  const kicks = [];
+  bao.socket.on('moderation', (entry) => kicks.push(entry));
+
+  const disconnected = nextEvent(lan.socket, 'disconnect');
+  for (let i = 0; i < 60; i++) {
+    lan.socket.emit('new message', { room: 'general', message: `tin ${i}` });
+  }
+  await disconnected;
+  // what was still on its way after the kick
+  await new Promise((resolve) => setTimeout(resolve, 500));
+  assert.deepEqual(kicks.map(({ action, reason }) => [action, reason]), [['kick', 'flooding']]);
+  const audit = fs.readFileSync(path.join(server.dir, 'audit.jsonl'), 'utf8').trim().split('\n');
+  assert.equal(audit.filter((line) => JSON.parse(line).reason === 'flooding').length, 1);
+});
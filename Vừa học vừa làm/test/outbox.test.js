@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_MESSAGE_LENGTH } = require('../sanitize');
+const { nextEvent, startServer } = require('./chatServer');
+
+test('the outbox posts on /outbox as the user of its connection', async (t) => {
+  const server = await startServer();
+  t.after(server.stop);
+  const lan = await server.logIn('Lan');
+  const bao = await server.logIn('Bảo');
+  // as the page does it: on the connection of the main socket, with retries
+  const outbox = lan.socket.io.socket('/outbox', { retries: 2, ackTimeout: 2000 });
+  t.after(() => outbox.disconnect());
+  outbox.connect();
+
+  const received = nextEvent(bao.socket, 'new message');
+  const data = { room: 'general', message: 'gửi từ hộp thư', clientId: 'hop-thu-1' };
+  const answer = await outbox.emitWithAck('new message', data);
+  assert.ok(answer.id);
+  const message = await received;
+  assert.equal(message.id, answer.id);
+  assert.equal(message.from, lan.userID);
+
+  // the same message sent again is not posted twice
+  assert.equal((await outbox.emitWithAck('new message', data)).id, answer.id);
+  // and the checks of the main socket apply
+  const tooLong = { room: 'general', message: 'a'.repeat(MAX_MESSAGE_LENGTH + 1), clientId: 'hop-thu-2' };
+  assert.equal((await outbox.emitWithAck('new message', tooLong)).error, 'message too long');
+
+  // a connection that did not log in posts nothing
+  const stranger = server.connect('/outbox');
+  const refused = await stranger.emitWithAck('new message', { room: 'general', message: 'ai đây?' });
+  assert.deepEqual(refused, { error: 'not logged in' });
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_MESSAGE_LENGTH, sanitizeText } = require('../sanitize');
+
+test('keeps ordinary text, tabs and newlines', () => {
+  assert.equal(sanitizeText('xin chào\tbạn\nhẹn gặp lại'), 'xin chào\tbạn\nhẹn gặp lại');
+});
+
+test('strips control characters', () => {
+  assert.equal(sanitizeText('a\u0000b\u0007c\u001bd\u007fe\u0085f'), 'abcdef');
+  assert.equal(sanitizeText('line\r\n'), 'line\n');
+});
+
+test('strips the characters that reverse the direction of the text', () => {
+  assert.equal(sanitizeText('user\u202egnp.exe'), 'usergnp.exe');
+  assert.equal(sanitizeText('\u2066a\u2069 \u202ab\u202c'), 'a b');
+});
+
+test('composes Vietnamese letters written with combining marks', () => {
+  const decomposed = 'Vie\u0302\u0323t';
+  assert.equal(sanitizeText(decomposed), 'Việt');
+  assert.equal(sanitizeText(decomposed).length, 4);
+});
+
+test('does not shorten long texts, the server refuses them instead', () => {
+  const text = 'a'.repeat(MAX_MESSAGE_LENGTH + 1);
+  assert.equal(sanitizeText(text), text);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { tokenize, snippetOf, SearchIndex } = require('../searchIndex');
+
+const newIndex = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-'));
+  return path.join(dir, 'search.jsonl');
+};
+
+test('folds case and Vietnamese diacritics', () => {
+  assert.deepEqual(tokenize('Tiếng VIỆT, đường Đà Nẵng!'), ['tieng', 'viet', 'duong', 'da', 'nang']);
+  // the same letters written with combining marks
+  assert.deepEqual(tokenize('Việt'), ['viet']);
+});
+
+test('finds messages having every word, with or without diacritics', () => {
+  const index = new SearchIndex(newIndex());
+  index.add('1', 'Hẹn gặp ở Hà Nội');
+  index.add('2', 'Hà Nội mùa thu');
+  index.add('3', 'Sài Gòn');
+  assert.deepEqual(index.search('ha noi').sort(), ['1', '2']);
+  assert.deepEqual(index.search('HÀ nội thu'), ['2']);
+  assert.deepEqual(index.search('huế'), []);
+  assert.deepEqual(index.search('  ,  '), []);
+});
+
+test('takes the last word as the start of a longer one', () => {
+  const index = new SearchIndex(newIndex());
+  index.add('1', 'xin chào');
+  assert.deepEqual(index.search('xin ch'), ['1']);
+  assert.deepEqual(index.search('ch xin'), []);
+});
+
+test('forgets edited words and deleted messages, also after a restart', async () => {
+  const file = newIndex();
+  const index = new SearchIndex(file);
+  index.add('1', 'cà phê sữa');
+  index.add('1', 'trà đá');
+  index.add('2', 'cà phê đen');
+  index.remove('2');
+  assert.deepEqual(index.search('ca phe'), []);
+  assert.deepEqual(index.search('tra'), ['1']);
+  await new Promise((resolve) => index.stream.end(resolve));
+  const reloaded = new SearchIndex(file);
+  assert.equal(reloaded.size, 1);
+  assert.deepEqual(reloaded.search('tra da'), ['1']);
+  assert.deepEqual(reloaded.search('phe'), []);
+});
+
+test('highlights the matching words in a snippet', () => {
+  const { snippet, highlights } = snippetOf('Chúng ta đi Đà Lạt nhé', 'da lat');
+  assert.equal(snippet, 'Chúng ta đi Đà Lạt nhé');
+  assert.deepEqual(highlights.map(([from, to]) => snippet.slice(from, to)), ['Đà', 'Lạt']);
+});
+
+test('cuts long texts around the first match', () => {
+  const text = 'a '.repeat(100) + 'tìm thấy ' + 'b '.repeat(100);
+  const { snippet, highlights } = snippetOf(text, 'tim');
+  assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+  assert.ok(snippet.length < text.length);
+  assert.deepEqual(highlights.map(([from, to]) => snippet.slice(from, to)), ['tìm']);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MessageStats, countTransports } = require('../stats');
+
+const MINUTE = 60 * 1000;
+
+test('counts the messages of every minute of the window', () => {
+  let now = 10 * MINUTE;
+  const stats = new MessageStats({ windowMinutes: 3, now: () => now });
+  stats.record({ from: 'a', username: 'An' });
+  now += MINUTE;
+  stats.record({ from: 'a', username: 'An' });
+  stats.record({ from: 'b', username: 'Bình' });
+  assert.deepEqual(stats.perMinute(), [
+    { time: 9 * MINUTE, count: 0 },
+    { time: 10 * MINUTE, count: 1 },
+    { time: 11 * MINUTE, count: 2 }
+  ]);
+  now += 2 * MINUTE;
+  assert.deepEqual(stats.perMinute().map(({ count }) => count), [2, 0, 0]);
+});
+
+test('lists who sent the most messages in the window', () => {
+  let now = 0;
+  const stats = new MessageStats({ windowMinutes: 2, now: () => now });
+  stats.record({ from: 'a', username: 'An' });
+  stats.record({ from: 'a', username: 'An' });
+  stats.record({ from: 'a', username: 'An' });
+  now += MINUTE;
+  stats.record({ from: 'b', username: 'Bình' });
+  stats.record({ from: 'b', username: 'Bình' });
+  stats.record({ from: 'a', username: 'Ân' });
+  assert.deepEqual(stats.topTalkers(), [
+    { userID: 'a', username: 'Ân', count: 4 },
+    { userID: 'b', username: 'Bình', count: 2 }
+  ]);
+  assert.equal(stats.topTalkers(1).length, 1);
+  // the first minute leaves the window
+  now += MINUTE;
+  assert.deepEqual(stats.topTalkers().map(({ count }) => count), [2, 1]);
+});
+
+test('counts the sockets of each transport', () => {
+  const socket = (name) => ({ conn: { transport: { name } } });
+  assert.deepEqual(
+    countTransports([socket('websocket'), socket('polling'), socket('websocket')]),
+    { websocket: 2, polling: 1 }
+  );
+});
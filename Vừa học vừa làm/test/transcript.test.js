@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTime, parseOptions, createTranscript } = require('../transcript');
+
+const MESSAGES = [
+  { id: '1', room: 'general', username: 'Lan', message: 'xin **chào** <b>\nhai dòng', timestamp: Date.UTC(2024, 4, 1, 3) },
+  { id: '2', room: 'general', username: 'Bảo', message: 'vẫy tay', action: true, timestamp: Date.UTC(2024, 4, 1, 4) },
+  { id: '3', room: 'general', username: 'Lan', message: 'ừ', parentId: '1', timestamp: Date.UTC(2024, 4, 1, 5) }
+];
+
+const read = async (stream) => {
+  let text = '';
+  for await (const chunk of stream) {
+    text += chunk;
+  }
+  return text;
+};
+
+const transcriptOf = (format, language) => read(createTranscript(MESSAGES, {
+  format,
+  language,
+  room: 'general',
+  since: 0,
+  until: Date.UTC(2024, 4, 2),
+  timeZone: 'UTC'
+}));
+
+test('reads timestamps, days and dates', () => {
+  assert.equal(parseTime('1714532400000'), 1714532400000);
+  assert.equal(parseTime('2024-05-01'), new Date(2024, 4, 1).getTime());
+  assert.equal(parseTime('2024-05-01', true), new Date(2024, 4, 2).getTime() - 1);
+  assert.equal(parseTime('2024-05-01T03:00:00Z'), Date.UTC(2024, 4, 1, 3));
+  assert.equal(parseTime(undefined), undefined);
+  assert.ok(Number.isNaN(parseTime('hôm qua')));
+  assert.ok(Number.isNaN(parseTime('99999999999999999999')));
+  assert.ok(Number.isNaN(parseTime('2024-13-45')));
+  assert.ok(Number.isNaN(parseTime('2024-02-30')));
+  assert.ok(Number.isNaN(parseTime('2023-02-29')));
+  assert.ok(Number.isNaN(parseTime('2024-05-00')));
+  assert.equal(parseTime('2024-02-29', false, 'UTC'), Date.UTC(2024, 1, 29));
+  assert.equal(parseTime('2024-12-31', true, 'UTC'), Date.UTC(2025, 0, 1) - 1);
+});
+
+test('bounds the days in the time zone asked for', () => {
+  assert.equal(parseTime('2024-05-01', false, 'Asia/Ho_Chi_Minh'), Date.UTC(2024, 3, 30, 17));
+  assert.equal(parseTime('2024-05-01', true, 'Asia/Ho_Chi_Minh'), Date.UTC(2024, 4, 1, 17) - 1);
+  // a day of 23 hours, when the clocks go forward
+  assert.equal(parseTime('2024-03-10', false, 'America/New_York'), Date.UTC(2024, 2, 10, 5));
+  assert.equal(parseTime('2024-03-10', true, 'America/New_York'), Date.UTC(2024, 2, 11, 4) - 1);
+  assert.equal(parseTime('2024-05-01', false, 'Nowhere/City'), new Date(2024, 4, 1).getTime());
+  assert.equal(parseOptions({ since: '2024-05-01', tz: 'UTC' }).since, Date.UTC(2024, 4, 1));
+});
+
+test('refuses unknown formats and unreadable times', () => {
+  assert.deepEqual(parseOptions({ format: 'pdf' }), { error: 'unknown format', params: { formats: 'jsonl, txt, html' } });
+  assert.equal(parseOptions({ format: 'toString' }).error, 'unknown format');
+  assert.equal(parseOptions({ since: 'hôm qua' }).error, 'invalid time');
+  assert.equal(parseOptions({ until: '99999999999999999999' }).error, 'invalid time');
+  assert.equal(parseOptions({ since: '2024-13-45' }).error, 'invalid time');
+  assert.equal(parseOptions({ format: 'txt', since: '5' }).since, 5);
+});
+
+test('writes one JSON message per line', async () => {
+  const lines = (await transcriptOf('jsonl')).trim().split('\n');
+  assert.deepEqual(lines.map((line) => JSON.parse(line)), MESSAGES);
+});
+
+test('writes plain text with replies and following lines indented', async () => {
+  const text = await transcriptOf('txt');
+  assert.match(text, /^#general\n/);
+  assert.match(text, /\] Lan: xin \*\*chào\*\* <b>\n {4}hai dòng\n/);
+  assert.match(text, /\] \* Bảo vẫy tay\n/);
+  assert.match(text, /\n {4}\[[^\]]+\] Lan: ừ\n$/);
+});
+
+test('writes a page that escapes what users wrote', async () => {
+  const html = await transcriptOf('html');
+  assert.match(html, /^<!doctype html>/);
+  assert.match(html, /<style>/);
+  assert.match(html, /xin <strong>chào<\/strong> &lt;b&gt;/);
+  assert.doesNotMatch(html, /<b>/);
+  assert.match(html, /<li class="message reply">/);
+  assert.match(html, /3 tin nhắn/);
+});
+
+test('writes its own texts in the language asked for', async () => {
+  const html = await transcriptOf('html', 'en');
+  assert.match(html, /<html lang="en">/);
+  assert.match(html, /until 5\/2\/24/);
+  assert.match(html, /3 messages/);
+  assert.doesNotMatch(html, /tin nhắn/);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { Webhook } = require('../webhook');
+const { BotRegistry } = require('../bots');
+const { nextEvent, startServer } = require('./chatServer');
+
+// a local endpoint answering with the next of `statuses` (then 200), that
+// keeps what it was sent
+const startStub = async (statuses = []) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests, server };
+};
+
+const MESSAGE = { id: '1', room: 'dev', from: 'u1', username: 'Lan', message: 'deploy xong', timestamp: 1 };
+
+test('posts the message with an HMAC signature of the body', async (t) => {
+  const stub = await startStub();
+  t.after(() => stub.server.close());
+  const webhook = new Webhook({ url: stub.url, secret: 'bí mật' });
+  assert.equal(await webhook.send(MESSAGE), true);
+  const [{ headers, body }] = stub.requests;
+  const expected = 'sha256=' + crypto.createHmac('sha256', 'bí mật').update(body).digest('hex');
+  assert.equal(headers['x-chat-signature-256'], expected);
+  assert.equal(headers['content-type'], 'application/json');
+  assert.deepEqual(JSON.parse(body).message, MESSAGE);
+  assert.equal(JSON.parse(body).deliveryId, headers['x-chat-delivery']);
+});
+
+test('tries again after errors of the endpoint, with the same delivery id', async (t) => {
+  const stub = await startStub([500, 503]);
+  t.after(() => stub.server.close());
+  const webhook = new Webhook({ url: stub.url, secret: 's', retryDelay: 10 });
+  assert.equal(await webhook.send(MESSAGE), true);
+  assert.equal(stub.requests.length, 3);
+  assert.equal(new Set(stub.requests.map(({ headers }) => headers['x-chat-delivery'])).size, 1);
+});
+
+test('gives up after the last retry, or when the message is refused', async (t) => {
+  const stub = await startStub([500, 500, 500, 400]);
+  t.after(() => stub.server.close());
+  const webhook = new Webhook({ url: stub.url, secret: 's', retries: 2, retryDelay: 10 });
+  assert.equal(await webhook.send(MESSAGE), false);
+  assert.equal(stub.requests.length, 3);
+  assert.equal(await webhook.send(MESSAGE), false);
+  assert.equal(stub.requests.length, 4);
+});
+
+test('refuses to sign with an empty key', () => {
+  assert.throws(() => new Webhook({ url: 'http://127.0.0.1:9/hook' }), /secret/);
+  assert.throws(() => new Webhook({ url: 'http://127.0.0.1:9/hook', secret: '' }), /secret/);
+});
+
+test('survives an endpoint that is down', async () => {
+  const webhook = new Webhook({ url: 'http://127.0.0.1:9/hook', secret: 's', retries: 1, retryDelay: 10 });
+  assert.equal(await webhook.send(MESSAGE), false);
+});
+
+test('only sends the room messages that match, and none from bots', async (t) => {
+  const stub = await startStub();
+  t.after(() => stub.server.close());
+  const webhook = new Webhook({ url: stub.url, secret: 's', rooms: ['dev'], pattern: /deploy/i });
+  assert.equal(await webhook.send({ ...MESSAGE, room: 'general' }), false);
+  assert.equal(await webhook.send({ ...MESSAGE, message: 'ăn trưa' }), false);
+  assert.equal(await webhook.send({ ...MESSAGE, room: null, to: 'u2' }), false);
+  assert.equal(await webhook.send({ ...MESSAGE, bot: true }), false);
+  assert.equal(await webhook.send({ ...MESSAGE, message: 'DEPLOY lại' }), true);
+  assert.equal(stub.requests.length, 1);
+});
+
+test('knows the bots by their token', () => {
+  const registry = new BotRegistry({ weather: 'token-1', deploy: 'token-2', empty: '' });
+  assert.deepEqual(registry.findBot('token-2'), { name: 'deploy', userID: 'bot:deploy' });
+  assert.equal(registry.findBot('token-3'), undefined);
+  assert.equal(registry.findBot(''), undefined);
+  assert.equal(registry.findBot(undefined), undefined);
+});
+
+test('bots post in the rooms they subscribed to, and the webhook gets the messages of the users', async (t) => {
+  const stub = await startStub();
+  t.after(() => stub.server.close());
+  const server = await startServer({
+    BOT_TOKENS: JSON.stringify({ weather: 'token-1', deploy: 'token-2' }),
+    WEBHOOK_URL: stub.url,
+    WEBHOOK_SECRET: 's'
+  });
+  t.after(server.stop);
+
+  const intruder = server.connect('/bots', { auth: { token: 'wrong' } });
+  assert.equal((await nextEvent(intruder, 'connect_error')).message, 'invalid token');
+  intruder.disconnect();
+
+  const weather = server.connect('/bots', { auth: { token: 'token-1' } });
+  const deploy = server.connect('/bots', { auth: { token: 'token-2' } });
+  assert.deepEqual(
+    await weather.emitWithAck('message', { room: 'general', message: 'trời nắng' }),
+    { error: 'not subscribed' }
+  );
+  const subscribed = await weather.emitWithAck('subscribe', 'general');
+  assert.equal(subscribed.room, 'general');
+  assert.deepEqual(subscribed.history, []);
+  await deploy.emitWithAck('subscribe', 'general');
+  const lan = await server.logIn('Lan');
+
+  const seen = [];
+  weather.on('new message', (message) => seen.push(message.message));
+  const toLan = nextEvent(lan.socket, 'new message');
+  const toDeploy = nextEvent(deploy, 'new message');
+  const posted = await weather.emitWithAck('message', { room: 'general', message: 'trời nắng' });
+  assert.ok(posted.id);
+  const message = await toLan;
+  assert.equal(message.bot, true);
+  assert.equal(message.username, 'weather');
+  assert.equal((await toDeploy).message, 'trời nắng');
+
+  // the messages of the other bot come after its own, which never came back
+  const toWeather = nextEvent(weather, 'new message');
+  await deploy.emitWithAck('message', { room: 'general', message: 'đã deploy' });
+  await toWeather;
+  assert.deepEqual(seen, ['đã deploy']);
+
+  lan.socket.emit('new message', { room: 'general', message: 'cảm ơn' });
+  while (!stub.requests.length) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.deepEqual(stub.requests.map(({ body }) => JSON.parse(body).message.message), ['cảm ơn']);
+
+  assert.deepEqual(await deploy.emitWithAck('unsubscribe', 'general'), { room: 'general' });
+  assert.deepEqual(
+    await deploy.emitWithAck('message', { room: 'general', message: 'còn đây không?' }),
+    { error: 'not subscribed' }
+  );
+});
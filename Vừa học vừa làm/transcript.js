@@ -0,0 +1,235 @@
+const { Readable } = require('stream');
+const { escapeHtml, renderMessage } = require('./public/markdown');
+const { DEFAULT_LANGUAGE, translate } = require('./public/i18n');
+
+const FORMATS = {
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+// the colors of the usernames, the same as in public/main.js
+const COLORS = [
+  '#e21400', '#91580f', '#f8a700', '#f78b00',
+  '#58dc00', '#287b00', '#a8f07a', '#4ae8c4',
+  '#3b88eb', '#3824aa', '#a700ff', '#d300e7'
+];
+
+const getUsernameColor = (username) => {
+  let hash = 7;
+  for (let i = 0; i < username.length; i++) {
+    hash = username.charCodeAt(i) + (hash << 5) - hash;
+  }
+  return COLORS[Math.abs(hash % COLORS.length)];
+};
+
+// a self-contained page needs its own stylesheet: the rules of
+// public/style.css that show messages, without the rest of the chat page
+const STYLE = `
+  * { box-sizing: border-box; }
+  body {
+    margin: 0;
+    padding: 25px;
+    font-family: Arial, sans-serif;
+    font-weight: 300;
+    background-color: #f0f2f5;
+    -webkit-font-smoothing: antialiased;
+  }
+  .chatArea {
+    max-width: 600px;
+    margin: 0 auto;
+    padding: 25px;
+    background-color: rgba(240, 243, 245, 0.9);
+    border-radius: 12px;
+    box-shadow: inset 0px 4px 6px rgba(0, 0, 0, 0.1);
+  }
+  .roomHeaderName { margin: 0 0 4px; color: #333; }
+  .roomHeaderTopic { margin: 0 0 20px; color: #777; }
+  .messages { margin: 0; padding: 0; list-style: none; font-size: 1.1em; word-wrap: break-word; }
+  .message {
+    display: flex;
+    align-items: baseline;
+    padding: 12px 15px;
+    margin-bottom: 8px;
+    background-color: #ffffff;
+    border-radius: 20px;
+  }
+  .message.reply { margin-left: 30px; }
+  .message.action .messageBody { font-style: italic; }
+  .time { margin-right: 10px; font-size: 0.75em; color: #999; white-space: nowrap; }
+  .username { margin-right: 10px; font-weight: bold; color: #0084ff; }
+  .messageBody { flex: 1; white-space: pre-wrap; }
+  .messageEdited { margin-left: 6px; font-size: 0.75em; color: #999; }
+  .messageBody code {
+    padding: 1px 4px;
+    font-family: Menlo, Consolas, monospace;
+    font-size: 0.9em;
+    background-color: #f1f1f1;
+    border-radius: 4px;
+  }
+  .messageBody pre { margin: 4px 0; padding: 8px 10px; overflow-x: auto; background-color: #f1f1f1; border-radius: 6px; }
+  .messageBody pre code { padding: 0; background: none; }
+  .messageBody a, .attachment { color: #3b88eb; word-break: break-all; }
+  .log { margin: 10px 0; color: #999; font-size: 0.9em; text-align: center; }
+`;
+
+// a Date only holds the times up to 100 000 000 days away from 1970
+const MAX_TIME = 8.64e15;
+
+// how far ahead of UTC `timeZone` (or the server's time zone, when it is not
+// a valid one) is at `time`, in ms
+const offsetOf = (time, timeZone) => {
+  const options = {
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  };
+  let format;
+  try {
+    format = new Intl.DateTimeFormat('en-US', { ...options, timeZone });
+  } catch (e) {
+    format = new Intl.DateTimeFormat('en-US', options);
+  }
+  const parts = {};
+  format.formatToParts(time).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (time - time % 1000);
+};
+
+// when the day `year`-`month`-`day` starts in `timeZone`; the offset is read
+// twice, for the days when it changes
+const startOfDay = (year, month, day, timeZone) => {
+  const midnight = Date.UTC(year, month - 1, day);
+  return midnight - offsetOf(midnight - offsetOf(midnight, timeZone), timeZone);
+};
+
+// parses a time of the window of a transcript: a timestamp in ms, a day
+// (YYYY-MM-DD, from its start or until its end in `timeZone`, or else in the
+// server's) or anything Date.parse() reads; returns undefined without a
+// value, NaN when it cannot be read, is out of the range of a Date or is a
+// day that does not exist
+const parseTime = (value, endOfDay = false, timeZone) => {
+  if (value === undefined || value === '') return undefined;
+  value = String(value);
+  if (/^\d+$/.test(value)) return Number(value) <= MAX_TIME ? Number(value) : NaN;
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (day) {
+    const [year, month, date] = day.slice(1).map(Number);
+    // Date.UTC() would take 2024-02-30 for 1 March
+    const lastDate = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (month < 1 || month > 12 || date < 1 || date > lastDate) return NaN;
+    return endOfDay ? startOfDay(year, month, date + 1, timeZone) - 1 : startOfDay(year, month, date, timeZone);
+  }
+  return Date.parse(value);
+};
+
+// checks what a transcript is asked for, where tz is the time zone of the
+// days; returns { format, since, until } or { error, params }
+const parseOptions = ({ format = 'html', since, until, tz } = {}) => {
+  if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+    return { error: 'unknown format', params: { formats: Object.keys(FORMATS).join(', ') } };
+  }
+  const timeZone = typeof tz === 'string' ? tz : undefined;
+  since = parseTime(since, false, timeZone);
+  until = parseTime(until, true, timeZone);
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    return { error: 'invalid time' };
+  }
+  return { format, since: since || 0, until: until === undefined ? Date.now() : until };
+};
+
+// formats timestamps in the language and the time zone of whoever asked,
+// when the time zone is valid
+const timeFormatter = (language, timeZone) => {
+  const options = { dateStyle: 'short', timeStyle: 'short' };
+  try {
+    return new Intl.DateTimeFormat(language, { ...options, timeZone });
+  } catch (e) {
+    return new Intl.DateTimeFormat(language, options);
+  }
+};
+
+// the time window of a transcript, as a line of its header
+const windowOf = ({ since, until, time, t }) => {
+  return since ? `${time.format(since)} - ${time.format(until)}` : t('transcript.until', { time: time.format(until) });
+};
+
+function* jsonLines(messages) {
+  for (const message of messages) {
+    yield JSON.stringify(message) + '\n';
+  }
+}
+
+function* plainText(messages, options) {
+  const { room, topic, time, t, baseUrl } = options;
+  yield `#${room}${topic ? ` - ${topic}` : ''}\n`;
+  yield `${windowOf(options)}\n\n`;
+  for (const message of messages) {
+    const indent = message.parentId ? '    ' : '';
+    const author = message.action ? `* ${message.username}` : `${message.username}:`;
+    let text = message.message || '';
+    if (message.attachment) {
+      text += `${text ? ' ' : ''}[${message.attachment.name}: ${baseUrl}${message.attachment.url}]`;
+    }
+    // the following lines of a message line up under its first one
+    text = text.replace(/\n/g, `\n${indent}    `);
+    yield `${indent}[${time.format(message.timestamp)}] ${author} ${text}${message.editedAt ? ` ${t('transcript.edited')}` : ''}\n`;
+  }
+}
+
+function* html(messages, options) {
+  const { room, topic, time, t, language, baseUrl } = options;
+  const title = escapeHtml(`#${room}`);
+  yield `<!doctype html>\n<html lang="${language}">\n<head>\n<meta charset="UTF-8">\n` +
+    `<title>${title}</title>\n<style>${STYLE}</style>\n</head>\n<body>\n<div class="chatArea">\n` +
+    `<h1 class="roomHeaderName">${title}</h1>\n` +
+    `<p class="roomHeaderTopic">${escapeHtml(topic || '')}</p>\n` +
+    `<p class="log">${escapeHtml(windowOf(options))}</p>\n` +
+    '<ul class="messages">\n';
+  let count = 0;
+  for (const message of messages) {
+    count++;
+    const classes = ['message', message.parentId && 'reply', message.action && 'action'].filter(Boolean);
+    const attachment = message.attachment
+      ? ` <a class="attachment" href="${escapeHtml(baseUrl + message.attachment.url)}">` +
+        `${escapeHtml(message.attachment.name)}</a>`
+      : '';
+    yield `<li class="${classes.join(' ')}">` +
+      `<span class="time">${escapeHtml(time.format(message.timestamp))}</span>` +
+      `<span class="username" style="color: ${getUsernameColor(message.username)}">` +
+      `${escapeHtml(message.username)}</span>` +
+      `<span class="messageBody">${renderMessage(message.message)}${attachment}</span>` +
+      `${message.editedAt ? `<span class="messageEdited">${escapeHtml(t('transcript.edited'))}</span>` : ''}</li>\n`;
+  }
+  yield `</ul>\n<p class="log">${escapeHtml(t('transcript.count', { count }))}</p>\n</div>\n</body>\n</html>\n`;
+}
+
+const WRITERS = { jsonl: jsonLines, txt: plainText, html };
+
+// a stream of the transcript of `messages` (any iterable, read one message
+// at a time as the stream is consumed, so that it is never all in memory)
+// options - { format, room, topic, since, until, timeZone, language, baseUrl },
+//   where language is one of the catalogues of public/i18n.js and baseUrl makes
+//   the links to the attachments absolute
+const createTranscript = (messages, { format, timeZone, language = DEFAULT_LANGUAGE, baseUrl = '', ...options }) => {
+  return Readable.from(WRITERS[format](messages, {
+    ...options,
+    time: timeFormatter(language, timeZone),
+    t: (key, params) => translate(language, key, params),
+    language,
+    baseUrl
+  }));
+};
+
+module.exports = {
+  FORMATS,
+  parseTime,
+  parseOptions,
+  createTranscript
+};
@@ -0,0 +1,79 @@
+const MIN_LENGTH = 2;
+const MAX_LENGTH = 14;
+
+// letters (with Vietnamese diacritics), digits, spaces, and _ . -
+const ALLOWED = /^[\p{L}\p{M}\p{N}_.\- ]+$/u;
+
+// names nobody may pick, compared case-insensitively
+const RESERVED_USERNAMES = [
+  'admin',
+  'administrator',
+  'moderator',
+  'mod',
+  'owner',
+  'system',
+  'server',
+  'bot',
+  'root',
+  'munggo'
+];
+
+// the form two names are compared in
+const normalize = (username) => username.normalize('NFC').toLowerCase();
+
+// returns the reason why `username` cannot be used, as { error, params }
+// (see the errors of public/i18n.js), or null if it can
+// isTaken - called with the normalized name, tells if a connected user has it
+const validateUsername = (username, isTaken) => {
+  if (typeof username !== 'string') {
+    return { error: 'invalid username' };
+  }
+  username = username.trim();
+  if (username.length < MIN_LENGTH) {
+    return { error: 'username too short', params: { min: MIN_LENGTH } };
+  }
+  if (username.length > MAX_LENGTH) {
+    return { error: 'username too long', params: { max: MAX_LENGTH } };
+  }
+  if (!ALLOWED.test(username)) {
+    return { error: 'invalid characters in username' };
+  }
+  if (RESERVED_USERNAMES.includes(normalize(username))) {
+    return { error: 'this username is reserved' };
+  }
+  if (isTaken(normalize(username))) {
+    return { error: 'this username is already taken' };
+  }
+  return null;
+};
+
+// a character that would make '@bob' part of a longer word
+const WORD_CHARACTER = /[\p{L}\p{M}\p{N}_]/u;
+
+// returns those of `usernames` that `text` mentions as '@username', whatever
+// the case; the longest names are tried first, so '@anh tú' is not '@anh'
+const findMentions = (text, usernames) => {
+  const lower = normalize(text);
+  const found = new Set();
+  const names = [...usernames].sort((a, b) => b.length - a.length);
+  let index = lower.indexOf('@');
+  while (index !== -1) {
+    const previous = lower[index - 1];
+    const name = previous && WORD_CHARACTER.test(previous) ? undefined : names.find((username) => {
+      const mention = '@' + normalize(username);
+      const next = lower[index + mention.length];
+      return lower.startsWith(mention, index) && !(next && WORD_CHARACTER.test(next));
+    });
+    if (name) {
+      found.add(name);
+    }
+    index = lower.indexOf('@', index + 1);
+  }
+  return [...found];
+};
+
+module.exports = {
+  normalize,
+  validateUsername,
+  findMentions
+};
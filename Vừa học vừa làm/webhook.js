@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+const randomId = () => crypto.randomBytes(8).toString('hex');
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// POSTs the room messages that match to an HTTP endpoint, as JSON:
+// { event: 'new message', deliveryId, message }; the body is signed with
+// HMAC-SHA256 in the X-Chat-Signature-256 header ('sha256=' and the hex
+// digest), so that the endpoint can check it comes from us
+class Webhook {
+  // secret - the key of the signatures, required
+  // rooms - the rooms whose messages are sent, all of them when empty
+  // pattern - a RegExp the text of the message must match
+  // retries - how many times a failed delivery is tried again, after
+  //   `retryDelay` ms, then twice as long each time
+  // timeout - how long to wait for the endpoint to answer, in ms
+  constructor({ url, secret, rooms = [], pattern, retries = 5, retryDelay = 1000, timeout = 5000 }) {
+    if (!secret) {
+      throw new Error('a webhook needs a secret to sign its messages');
+    }
+    this.url = url;
+    this.secret = secret;
+    this.rooms = rooms;
+    this.pattern = pattern;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.timeout = timeout;
+  }
+
+  // messages of bots are not sent, so that a bot answering the webhook does
+  // not start a loop
+  matches(message) {
+    if (!message.room || message.bot) return false;
+    if (this.rooms.length && !this.rooms.includes(message.room)) return false;
+    return !this.pattern || this.pattern.test(message.message || '');
+  }
+
+  sign(body) {
+    return 'sha256=' + crypto.createHmac('sha256', this.secret).update(body).digest('hex');
+  }
+
+  // sends `message` if it matches; resolves with true once the endpoint
+  // accepted it (2xx), false if it did not match or every attempt failed
+  async send(message) {
+    if (!this.matches(message)) return false;
+    const deliveryId = randomId();
+    const body = JSON.stringify({ event: 'new message', deliveryId, message });
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        await wait(this.retryDelay * 2 ** (attempt - 1));
+      }
+      try {
+        const res = await fetch(this.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Chat-Event': 'new message',
+            'X-Chat-Delivery': deliveryId,
+            'X-Chat-Signature-256': this.sign(body)
+          },
+          body,
+          signal: AbortSignal.timeout(this.timeout)
+        });
+        // only the status matters
+        if (res.body) await res.body.cancel();
+        if (res.ok) return true;
+        // the endpoint refused the message itself, sending it again won't help
+        if (res.status < 500 && res.status !== 429) {
+          console.error(`webhook refused delivery ${deliveryId}: ${res.status}`);
+          return false;
+        }
+      } catch (err) {
+        // the endpoint is down or too slow, try again
+      }
+    }
+    console.error(`webhook gave up on delivery ${deliveryId}`);
+    return false;
+  }
+}
+
+module.exports = {
+  Webhook
+};